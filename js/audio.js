@@ -4,7 +4,10 @@ const Audio = (() => {
   let ctx = null;
   let masterGain = null;
   let compressor = null;
+  let limiter = null;
+  let eqBands = null;       // { low, mid, high } shelf/peak filters
   let reverbNode = null;
+  let reverbPreDelay = null;
   let reverbGain = null;
   let dryGain = null;
   let chorusBus = null;
@@ -17,9 +20,32 @@ const Audio = (() => {
   // Voice system
   let currentVoice = 'om27';
   let vibratoEnabled = false;
+
+  // Modulation bus — a cents signal every voice oscillator's detune listens to:
+  // global vibrato LFO + mod wheel (extra LFO depth) + pitch bend
+  let modBus = null;
   let vibratoLFO = null;
   let vibratoLFOGain = null;
-  let sustainValue = 0.5; // 0-1, maps to duration
+  let modWheelGain = null;
+  let pitchBendSource = null;
+  let vibratoRate = 5.5;   // Hz
+  let vibratoDepth = 10;   // ± cents
+  let modWheel = 0;        // 0-1
+  let pitchBend = 0;       // -1..1
+  let bendRange = 2;       // semitones
+  const MOD_WHEEL_CENTS = 40;
+  let sustainValue = 0.5; // 0-1, maps to release time
+
+  // Voice allocator — every string voice gets its own output gain so it can be
+  // released or stolen with a short fade instead of running out its schedule
+  let maxPolyphony = 16;
+  let stealMode = 'oldest'; // 'oldest' | 'quietest'
+  let activeVoices = [];    // { outs, sources, expression, vel, start, end, held }
+  const STRUM_GATE = 0.2;   // s a strummed (no note-off) voice holds before releasing
+  // Held voices shape their envelopes over HOLD_DURATION. Sustaining presets also
+  // get `held` and then never fade or stop on their own: only the release ends them.
+  const HOLD_DURATION = 30; // s
+  const STEAL_FADE = 0.015; // s
 
   // =============================================
   // VOICE PRESETS
@@ -88,7 +114,7 @@ const Audio = (() => {
         vibLFO.stop(stopTime);
         osc1.stop(stopTime);
         osc2.stop(stopTime);
-        return { stopTime };
+        return { stopTime, sources: [vibLFO, osc1, osc2], pitched: [osc1, osc2] };
       }
     },
 
@@ -154,14 +180,14 @@ const Audio = (() => {
         vibLFO.stop(stopTime);
         osc1.stop(stopTime);
         osc2.stop(stopTime);
-        return { stopTime };
+        return { stopTime, sources: [vibLFO, osc1, osc2], pitched: [osc1, osc2] };
       }
     },
 
     om300: {
       name: 'OM-300 Digital',
       category: 'Omnichord',
-      build(ctx, masterGain, freq, vel, dur) {
+      build(ctx, masterGain, freq, vel, dur, sends, held = false) {
         const now = ctx.currentTime;
         // Sawtooth + detuned copy — cleaner digital sound
         const osc1 = ctx.createOscillator();
@@ -198,7 +224,7 @@ const Audio = (() => {
         amp.gain.setValueAtTime(0, now);
         amp.gain.linearRampToValueAtTime(vel * 0.22, now + 0.003);
         amp.gain.setTargetAtTime(vel * 0.08, now + 0.003, 0.1);
-        amp.gain.setTargetAtTime(0.001, now + dur * 0.5, dur * 0.3);
+        if (!held) amp.gain.setTargetAtTime(0.001, now + dur * 0.5, dur * 0.3);
 
         oscMix.connect(filter);
         filter.connect(amp);
@@ -206,10 +232,9 @@ const Audio = (() => {
 
         osc1.start(now);
         osc2.start(now);
-        const stopTime = now + dur + 0.3;
-        osc1.stop(stopTime);
-        osc2.stop(stopTime);
-        return { stopTime };
+        const stopTime = held ? Infinity : now + dur + 0.3;
+        if (!held) [osc1, osc2].forEach(osc => osc.stop(stopTime));
+        return { stopTime, sources: [osc1, osc2] };
       }
     },
 
@@ -239,7 +264,7 @@ const Audio = (() => {
         osc.start(now);
         const stopTime = now + shortDur + 0.2;
         osc.stop(stopTime);
-        return { stopTime };
+        return { stopTime, sources: [osc] };
       }
     },
 
@@ -289,7 +314,7 @@ const Audio = (() => {
         const stopTime = now + dur + 0.2;
         osc1.stop(stopTime);
         osc2.stop(stopTime);
-        return { stopTime };
+        return { stopTime, sources: [osc1, osc2] };
       }
     },
 
@@ -331,7 +356,7 @@ const Audio = (() => {
         const stopTime = now + dur + 0.3;
         osc1.stop(stopTime);
         osc2.stop(stopTime);
-        return { stopTime };
+        return { stopTime, sources: [osc1, osc2] };
       }
     },
 
@@ -339,7 +364,7 @@ const Audio = (() => {
     shimmer: {
       name: 'Shimmer',
       category: 'Synth',
-      build(ctx, masterGain, freq, vel, dur, chorusBus) {
+      build(ctx, masterGain, freq, vel, dur, chorusBus, held = false) {
         const now = ctx.currentTime;
         // Original sound: detuned saws + sub triangle + chorus bus
         const osc1 = ctx.createOscillator();
@@ -384,7 +409,7 @@ const Audio = (() => {
         amp.gain.linearRampToValueAtTime(vel * 0.25, now + 0.004);
         amp.gain.setTargetAtTime(vel * 0.12, now + 0.004, 0.08);
         amp.gain.setTargetAtTime(vel * 0.04, now + 0.15, 0.15);
-        amp.gain.setTargetAtTime(0.001, now + dur * 0.6, dur * 0.25);
+        if (!held) amp.gain.setTargetAtTime(0.001, now + dur * 0.6, dur * 0.25);
 
         oscMix.connect(filter);
         filter.connect(amp);
@@ -401,11 +426,9 @@ const Audio = (() => {
         osc1.start(now);
         osc2.start(now);
         osc3.start(now);
-        const stopTime = now + dur + 0.3;
-        osc1.stop(stopTime);
-        osc2.stop(stopTime);
-        osc3.stop(stopTime);
-        return { stopTime };
+        const stopTime = held ? Infinity : now + dur + 0.3;
+        if (!held) [osc1, osc2, osc3].forEach(osc => osc.stop(stopTime));
+        return { stopTime, sources: [osc1, osc2, osc3] };
       }
     },
 
@@ -454,14 +477,14 @@ const Audio = (() => {
         const stopTime = now + dur + 0.5;
         modOsc.stop(stopTime);
         carrier.stop(stopTime);
-        return { stopTime };
+        return { stopTime, sources: [modOsc, carrier] };
       }
     },
 
     pad: {
       name: 'Warm Pad',
       category: 'Synth',
-      build(ctx, masterGain, freq, vel, dur) {
+      build(ctx, masterGain, freq, vel, dur, sends, held = false) {
         const now = ctx.currentTime;
         // Triangle + detuned tri + sub sine — ambient texture
         const osc1 = ctx.createOscillator();
@@ -502,7 +525,7 @@ const Audio = (() => {
         amp.gain.setValueAtTime(0, now);
         amp.gain.linearRampToValueAtTime(vel * 0.2, now + 0.08);
         amp.gain.setTargetAtTime(vel * 0.12, now + 0.08, 0.2);
-        amp.gain.setTargetAtTime(0.001, now + dur * 0.7, dur * 0.3);
+        if (!held) amp.gain.setTargetAtTime(0.001, now + dur * 0.7, dur * 0.3);
 
         oscMix.connect(filter);
         filter.connect(amp);
@@ -511,55 +534,83 @@ const Audio = (() => {
         osc1.start(now);
         osc2.start(now);
         osc3.start(now);
-        const stopTime = now + dur + 0.5;
-        osc1.stop(stopTime);
-        osc2.stop(stopTime);
-        osc3.stop(stopTime);
-        return { stopTime };
+        const stopTime = held ? Infinity : now + dur + 0.5;
+        if (!held) [osc1, osc2, osc3].forEach(osc => osc.stop(stopTime));
+        return { stopTime, sources: [osc1, osc2, osc3] };
       }
     }
   };
 
   function init() {
-    ctx = new (window.AudioContext || window.webkitAudioContext)();
+    ctx = AudioBus.getContext();
 
     masterGain = ctx.createGain();
     masterGain.gain.value = 0.8;
 
     compressor = ctx.createDynamicsCompressor();
-    compressor.threshold.value = -15;
+    compressor.threshold.value = fx.compressor.threshold;
     compressor.knee.value = 10;
-    compressor.ratio.value = 3;
+    compressor.ratio.value = fx.compressor.ratio;
     compressor.attack.value = 0.005;
     compressor.release.value = 0.2;
 
+    // Brickwall-style limiter after the compressor
+    limiter = ctx.createDynamicsCompressor();
+    limiter.threshold.value = fx.limiter.ceiling;
+    limiter.knee.value = 0;
+    limiter.ratio.value = 20;
+    limiter.attack.value = 0.001;
+    limiter.release.value = 0.1;
+
+    // Master EQ: low shelf, mid peak, high shelf
+    eqBands = {
+      low: buildEqBand('lowshelf', 200, fx.eq.low),
+      mid: buildEqBand('peaking', 1000, fx.eq.mid),
+      high: buildEqBand('highshelf', 5000, fx.eq.high)
+    };
+
     // Reverb
     reverbGain = ctx.createGain();
     reverbGain.gain.value = reverbAmount;
     dryGain = ctx.createGain();
     dryGain.gain.value = 1;
 
+    reverbPreDelay = ctx.createDelay(1);
+    reverbPreDelay.delayTime.value = fx.reverb.preDelay;
     reverbNode = ctx.createConvolver();
-    reverbNode.buffer = buildReverbImpulse(2.5, 2.2);
+    reverbNode.buffer = buildReverbImpulse(fx.reverb.size, fx.reverb.decay, fx.reverb.damping);
 
     // Chorus bus
     chorusBus = buildChorusBus();
 
-    // Routing: master -> dry + reverb + chorus -> compressor -> output
+    // Routing: master -> dry + reverb + chorus -> EQ -> compressor -> limiter -> bus send
     masterGain.connect(dryGain);
     masterGain.connect(reverbGain);
     masterGain.connect(chorusBus.input);
 
-    dryGain.connect(compressor);
-    reverbGain.connect(reverbNode);
-    reverbNode.connect(compressor);
-    chorusBus.output.connect(compressor);
+    dryGain.connect(eqBands.low);
+    reverbGain.connect(reverbPreDelay);
+    reverbPreDelay.connect(reverbNode);
+    reverbNode.connect(eqBands.low);
+    chorusBus.output.connect(eqBands.low);
+
+    eqBands.low.connect(eqBands.mid);
+    eqBands.mid.connect(eqBands.high);
+    eqBands.high.connect(compressor);
+    compressor.connect(limiter);
 
-    compressor.connect(ctx.destination);
+    limiter.connect(AudioBus.publish('insomnichord', 'Insomnichord'));
 
     // MediaStream for recorder
     mediaStreamDest = ctx.createMediaStreamDestination();
-    compressor.connect(mediaStreamDest);
+    limiter.connect(mediaStreamDest);
+
+    buildModBus();
+
+    // Chord pad bus
+    padOut = ctx.createGain();
+    padOut.gain.value = padVolume;
+    padOut.connect(masterGain);
 
     // Pre-generate noise buffer
     buildNoiseBuffer();
@@ -567,7 +618,40 @@ const Audio = (() => {
     return ctx;
   }
 
-  function buildReverbImpulse(duration, decay) {
+  function buildModBus() {
+    modBus = ctx.createGain();
+
+    vibratoLFO = ctx.createOscillator();
+    vibratoLFO.type = 'sine';
+    vibratoLFO.frequency.value = vibratoRate;
+    vibratoLFOGain = ctx.createGain();
+    vibratoLFOGain.gain.value = vibratoEnabled ? vibratoDepth : 0;
+    modWheelGain = ctx.createGain();
+    modWheelGain.gain.value = modWheel * MOD_WHEEL_CENTS;
+    vibratoLFO.connect(vibratoLFOGain);
+    vibratoLFO.connect(modWheelGain);
+    vibratoLFOGain.connect(modBus);
+    modWheelGain.connect(modBus);
+
+    pitchBendSource = ctx.createConstantSource();
+    pitchBendSource.offset.value = pitchBend * bendRange * 100;
+    pitchBendSource.connect(modBus);
+
+    vibratoLFO.start();
+    pitchBendSource.start();
+  }
+
+  // Patch oscillators' detune into the bus until they stop
+  function connectModBus(oscillators) {
+    if (!modBus || !oscillators.length) return;
+    oscillators.forEach(osc => modBus.connect(osc.detune));
+    oscillators[0].onended = () => {
+      oscillators.forEach(osc => { try { modBus.disconnect(osc.detune); } catch (e) {} });
+    };
+  }
+
+  // Damping 0-1 sets how quickly the tail loses its highs (0.5 = the original warmth)
+  function buildReverbImpulse(duration, decay, damping = 0.5) {
     const rate = ctx.sampleRate;
     const length = rate * duration;
     const impulse = ctx.createBuffer(2, length, rate);
@@ -577,7 +661,7 @@ const Audio = (() => {
         const t = i / rate;
         const hfDecay = Math.exp(-t * 3);
         const raw = Math.random() * 2 - 1;
-        const warmth = 0.3 + (1 - hfDecay) * 0.5;
+        const warmth = Math.min(0.95, (0.3 + (1 - hfDecay) * 0.5) * damping * 2);
         data[i] = raw * Math.pow(1 - i / length, decay);
         if (i > 0) data[i] = data[i] * (1 - warmth) + data[i - 1] * warmth;
       }
@@ -585,53 +669,46 @@ const Audio = (() => {
     return impulse;
   }
 
+  // Three modulated delay taps; LFO rates and depths scale from the first tap's
+  const CHORUS_TAPS = [
+    { delay: 0.012, rate: 1, depth: 1 },
+    { delay: 0.017, rate: 1.375, depth: 4 / 3 },
+    { delay: 0.008, rate: 0.625, depth: 2 / 3 }
+  ];
+
   function buildChorusBus() {
     const input = ctx.createGain();
     input.gain.value = 0.35;
     const output = ctx.createGain();
-    output.gain.value = 0.6;
-
-    const delayL = ctx.createDelay(0.05);
-    delayL.delayTime.value = 0.012;
-    const lfoL = ctx.createOscillator();
-    lfoL.type = 'sine';
-    lfoL.frequency.value = 0.8;
-    const lfoGainL = ctx.createGain();
-    lfoGainL.gain.value = 0.003;
-    lfoL.connect(lfoGainL);
-    lfoGainL.connect(delayL.delayTime);
-    lfoL.start();
-
-    const delayR = ctx.createDelay(0.05);
-    delayR.delayTime.value = 0.017;
-    const lfoR = ctx.createOscillator();
-    lfoR.type = 'sine';
-    lfoR.frequency.value = 1.1;
-    const lfoGainR = ctx.createGain();
-    lfoGainR.gain.value = 0.004;
-    lfoR.connect(lfoGainR);
-    lfoGainR.connect(delayR.delayTime);
-    lfoR.start();
-
-    const delayC = ctx.createDelay(0.05);
-    delayC.delayTime.value = 0.008;
-    const lfoC = ctx.createOscillator();
-    lfoC.type = 'sine';
-    lfoC.frequency.value = 0.5;
-    const lfoGainC = ctx.createGain();
-    lfoGainC.gain.value = 0.002;
-    lfoC.connect(lfoGainC);
-    lfoGainC.connect(delayC.delayTime);
-    lfoC.start();
-
-    input.connect(delayL);
-    input.connect(delayR);
-    input.connect(delayC);
-    delayL.connect(output);
-    delayR.connect(output);
-    delayC.connect(output);
-
-    return { input, output };
+    output.gain.value = fx.chorus.mix;
+
+    const lfos = CHORUS_TAPS.map(tap => {
+      const delay = ctx.createDelay(0.05);
+      delay.delayTime.value = tap.delay;
+      const lfo = ctx.createOscillator();
+      lfo.type = 'sine';
+      lfo.frequency.value = fx.chorus.rate * tap.rate;
+      const lfoGain = ctx.createGain();
+      lfoGain.gain.value = fx.chorus.depth * tap.depth;
+      lfo.connect(lfoGain);
+      lfoGain.connect(delay.delayTime);
+      lfo.start();
+
+      input.connect(delay);
+      delay.connect(output);
+      return { tap, lfo, lfoGain };
+    });
+
+    return { input, output, lfos };
+  }
+
+  function buildEqBand(type, frequency, gain) {
+    const band = ctx.createBiquadFilter();
+    band.type = type;
+    band.frequency.value = frequency;
+    band.Q.value = 0.7;
+    band.gain.value = gain;
+    return band;
   }
 
   function buildNoiseBuffer() {
@@ -654,6 +731,306 @@ const Audio = (() => {
     if (reverbGain) reverbGain.gain.setTargetAtTime(val, ctx.currentTime, 0.05);
   }
 
+  // =============================================
+  // MASTER FX RACK
+  // =============================================
+  // [min, max, default] per parameter; times in seconds, EQ/thresholds in dB
+  const FX_PARAMS = {
+    reverb: { size: [0.3, 6, 2.5], decay: [0.5, 6, 2.2], preDelay: [0, 0.25, 0], damping: [0, 1, 0.5] },
+    chorus: { rate: [0.05, 5, 0.8], depth: [0, 0.008, 0.003], mix: [0, 1, 0.6] },
+    eq: { low: [-12, 12, 0], mid: [-12, 12, 0], high: [-12, 12, 0] },
+    compressor: { threshold: [-60, 0, -15], ratio: [1, 20, 3] },
+    limiter: { ceiling: [-12, 0, -1] }
+  };
+
+  function getDefaultFx() {
+    const result = {};
+    for (const [group, params] of Object.entries(FX_PARAMS)) {
+      result[group] = {};
+      for (const [param, [, , def]] of Object.entries(params)) result[group][param] = def;
+    }
+    return result;
+  }
+
+  let fx = getDefaultFx();
+
+  function setFxParam(group, param, value) {
+    const range = FX_PARAMS[group]?.[param];
+    const n = Number(value);
+    if (!range || !Number.isFinite(n)) return;
+    fx[group][param] = Math.max(range[0], Math.min(range[1], n));
+    if (ctx) applyFx(group, param);
+  }
+
+  function applyFx(group, param) {
+    const value = fx[group][param];
+    switch (group) {
+      case 'reverb':
+        if (param === 'preDelay') setModParam(reverbPreDelay.delayTime, value);
+        else scheduleReverbRebuild();
+        break;
+      case 'chorus':
+        if (param === 'mix') {
+          setModParam(chorusBus.output.gain, value);
+          break;
+        }
+        chorusBus.lfos.forEach(({ tap, lfo, lfoGain }) => {
+          setModParam(lfo.frequency, fx.chorus.rate * tap.rate);
+          setModParam(lfoGain.gain, fx.chorus.depth * tap.depth);
+        });
+        break;
+      case 'eq':
+        setModParam(eqBands[param].gain, value);
+        break;
+      case 'compressor':
+        setModParam(compressor[param], value);
+        break;
+      case 'limiter':
+        setModParam(limiter.threshold, value);
+        break;
+    }
+  }
+
+  // A new impulse is seconds of noise per channel and swapping it clicks, so
+  // slider drags rebuild once they pause
+  let reverbRebuildTimer = null;
+  const REVERB_REBUILD_DELAY = 150; // ms
+
+  function scheduleReverbRebuild() {
+    clearTimeout(reverbRebuildTimer);
+    reverbRebuildTimer = setTimeout(() => {
+      reverbNode.buffer = buildReverbImpulse(fx.reverb.size, fx.reverb.decay, fx.reverb.damping);
+    }, REVERB_REBUILD_DELAY);
+  }
+
+  function getFxSettings() { return JSON.parse(JSON.stringify(fx)); }
+
+
+  // =============================================
+  // USER VOICES — data-driven presets from the voice editor
+  // =============================================
+  const WAVES = ['sine', 'square', 'sawtooth', 'triangle'];
+  const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass'];
+
+  const DEFAULT_USER_VOICE = {
+    name: 'New Voice',
+    oscillators: [
+      { wave: 'square', octave: 0, detune: 0, level: 0.45 },
+      { wave: 'square', octave: 1, detune: 0, level: 0.15 },
+      { wave: 'sine', octave: -1, detune: 0, level: 0 }
+    ],
+    filter: { type: 'lowpass', cutoff: 400, q: 1.5, envAmount: 3000, envDecay: 0.08 },
+    amp: { attack: 0.002, decay: 0.3, sustain: 0.2, level: 0.28 },
+    vibrato: { rate: 5, depth: 6 }, // Hz, ± cents
+    sends: { chorus: 0, reverb: 0 }
+  };
+
+  // Fill gaps and clamp ranges so imported / hand-edited JSON always builds
+  function normalizeUserVoice(def = {}) {
+    const d = DEFAULT_USER_VOICE;
+    const num = (v, fallback, min, max) => {
+      const n = Number(v);
+      return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+    };
+    const oscs = Array.isArray(def.oscillators) ? def.oscillators : d.oscillators;
+    return {
+      name: String(def.name || d.name).slice(0, 40),
+      oscillators: d.oscillators.map((fallback, i) => {
+        const o = oscs[i] || { ...fallback, level: 0 };
+        return {
+          wave: WAVES.includes(o.wave) ? o.wave : fallback.wave,
+          octave: Math.round(num(o.octave, fallback.octave, -2, 2)),
+          detune: num(o.detune, fallback.detune, -100, 100),
+          level: num(o.level, fallback.level, 0, 1)
+        };
+      }),
+      filter: {
+        type: FILTER_TYPES.includes(def.filter?.type) ? def.filter.type : d.filter.type,
+        cutoff: num(def.filter?.cutoff, d.filter.cutoff, 20, 16000),
+        q: num(def.filter?.q, d.filter.q, 0.1, 20),
+        envAmount: num(def.filter?.envAmount, d.filter.envAmount, 0, 10000),
+        envDecay: num(def.filter?.envDecay, d.filter.envDecay, 0.005, 3)
+      },
+      amp: {
+        attack: num(def.amp?.attack, d.amp.attack, 0.001, 2),
+        decay: num(def.amp?.decay, d.amp.decay, 0.01, 5),
+        sustain: num(def.amp?.sustain, d.amp.sustain, 0, 1),
+        level: num(def.amp?.level, d.amp.level, 0, 0.5)
+      },
+      vibrato: {
+        rate: num(def.vibrato?.rate, d.vibrato.rate, 0.1, 12),
+        depth: num(def.vibrato?.depth, d.vibrato.depth, 0, 50)
+      },
+      sends: {
+        chorus: num(def.sends?.chorus, d.sends.chorus, 0, 1),
+        reverb: num(def.sends?.reverb, d.sends.reverb, 0, 1)
+      }
+    };
+  }
+
+  // Same build() contract as the hardcoded presets. Release is the allocator's job,
+  // so the amp envelope is attack → decay → sustain and holds there.
+  function buildUserVoice(def) {
+    const v = normalizeUserVoice(def);
+    return {
+      name: v.name,
+      category: 'User',
+      def: v,
+      build(ctx, masterGain, freq, vel, dur, sends, held = false) {
+        const now = ctx.currentTime;
+
+        const vibLFO = ctx.createOscillator();
+        vibLFO.type = 'sine';
+        vibLFO.frequency.value = v.vibrato.rate;
+        const vibGain = ctx.createGain();
+        vibGain.gain.value = v.vibrato.depth; // cents, into detune
+        vibLFO.connect(vibGain);
+
+        const oscMix = ctx.createGain();
+        const oscs = v.oscillators.filter(o => o.level > 0).map(o => {
+          const osc = ctx.createOscillator();
+          osc.type = o.wave;
+          osc.frequency.value = freq * Math.pow(2, o.octave);
+          osc.detune.value = o.detune;
+          vibGain.connect(osc.detune);
+          const level = ctx.createGain();
+          level.gain.value = o.level;
+          osc.connect(level);
+          level.connect(oscMix);
+          return osc;
+        });
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = v.filter.type;
+        filter.Q.value = v.filter.q;
+        filter.frequency.setValueAtTime(Math.min(20000, v.filter.cutoff + vel * v.filter.envAmount), now);
+        filter.frequency.setTargetAtTime(v.filter.cutoff, now, v.filter.envDecay);
+
+        const amp = ctx.createGain();
+        const peak = vel * v.amp.level;
+        amp.gain.setValueAtTime(0, now);
+        amp.gain.linearRampToValueAtTime(peak, now + v.amp.attack);
+        amp.gain.setTargetAtTime(peak * v.amp.sustain, now + v.amp.attack, v.amp.decay / 3);
+
+        oscMix.connect(filter);
+        filter.connect(amp);
+        amp.connect(masterGain);
+
+        if (v.sends.chorus > 0 && sends) {
+          const chorusSend = ctx.createGain();
+          chorusSend.gain.value = v.sends.chorus;
+          amp.connect(chorusSend);
+          chorusSend.connect(sends.input);
+        }
+        if (v.sends.reverb > 0 && sends?.reverb) {
+          const reverbSend = ctx.createGain();
+          reverbSend.gain.value = v.sends.reverb;
+          amp.connect(reverbSend);
+          reverbSend.connect(sends.reverb);
+        }
+
+        vibLFO.start(now);
+        oscs.forEach(osc => osc.start(now));
+        const stopTime = held ? Infinity : now + dur + 0.3;
+        if (!held) [vibLFO, ...oscs].forEach(osc => osc.stop(stopTime));
+        return { stopTime, sources: [vibLFO, ...oscs], pitched: oscs };
+      }
+    };
+  }
+
+  // User voices live alongside the presets as VOICES['user:<name>']
+  function registerUserVoice(name, def) {
+    const id = `user:${name}`;
+    VOICES[id] = buildUserVoice({ ...def, name });
+    return id;
+  }
+
+  function removeUserVoice(name) {
+    unregisterVoice(`user:${name}`);
+  }
+
+  function unregisterVoice(id) {
+    delete VOICES[id];
+    if (currentVoice === id) currentVoice = 'om27';
+    if (padTimbre === id) padTimbre = 'classic';
+  }
+
+  function getUserVoiceDef(name) {
+    const voice = VOICES[`user:${name}`];
+    return voice ? JSON.parse(JSON.stringify(voice.def)) : null;
+  }
+
+  function getDefaultUserVoice() {
+    return normalizeUserVoice(DEFAULT_USER_VOICE);
+  }
+
+  // =============================================
+  // SAMPLED VOICES
+  // =============================================
+  // zones: [{ buffer, root }] with root as a MIDI note. Each note plays the zone
+  // with the nearest root (a multi-sample map splits halfway between roots),
+  // repitched by playbackRate. `loop` sustains held notes on the sample's tail.
+  function buildSampleVoice(name, zones, loop) {
+    const sorted = zones.slice().sort((a, b) => a.root - b.root);
+    return {
+      name,
+      category: 'Sampled',
+      build(ctx, out, freq, vel, dur, sends, held = false) {
+        const now = ctx.currentTime;
+        const note = 69 + 12 * Math.log2(freq / 440);
+        const zone = sorted.reduce((a, b) => (Math.abs(b.root - note) < Math.abs(a.root - note) ? b : a));
+        const rate = freq / (440 * Math.pow(2, (zone.root - 69) / 12));
+
+        const src = ctx.createBufferSource();
+        src.buffer = zone.buffer;
+        src.playbackRate.value = rate;
+        if (loop) {
+          src.loop = true;
+          src.loopStart = zone.buffer.duration * 0.25;
+          src.loopEnd = zone.buffer.duration;
+        }
+
+        // Short fade-in hides clicks at the sample start
+        const amp = ctx.createGain();
+        amp.gain.setValueAtTime(0, now);
+        amp.gain.linearRampToValueAtTime(vel * 0.5, now + 0.005);
+
+        src.connect(amp);
+        amp.connect(out);
+        src.start(now);
+        // A held loop runs until released; one-shots end with the sample
+        const length = held ? zone.buffer.duration / rate : Math.min(dur, zone.buffer.duration / rate);
+        const stopTime = loop ? (held ? Infinity : now + dur) : now + length;
+        if (stopTime !== Infinity) src.stop(stopTime);
+        return { stopTime, sources: [src] };
+      }
+    };
+  }
+
+  function registerSampleVoice(name, zones, loop = false) {
+    const id = `sample:${name}`;
+    VOICES[id] = buildSampleVoice(name, zones, loop);
+    return id;
+  }
+
+  function removeSampleVoice(name) {
+    unregisterVoice(`sample:${name}`);
+  }
+
+  // Root note of a sample: Spectral's autocorrelation estimate (the one behind
+  // its freeze), taken just after the loudest point (past the attack transient)
+  function detectSampleRoot(buffer) {
+    const data = buffer.getChannelData(0);
+    const size = Math.min(4096, data.length);
+    const searchEnd = Math.min(data.length - size, buffer.sampleRate);
+    let peak = 0;
+    for (let i = 1; i <= searchEnd; i++) {
+      if (Math.abs(data[i]) > Math.abs(data[peak])) peak = i;
+    }
+    const freq = Spectral.detectFundamental(data.subarray(peak, peak + size), buffer.sampleRate);
+    return freq ? Math.round(69 + 12 * Math.log2(freq / 440)) : 60;
+  }
+
   // =============================================
   // VOICE API
   // =============================================
@@ -678,151 +1055,542 @@ const Audio = (() => {
 
   function getSustain() { return sustainValue; }
 
+  // =============================================
+  // MODULATION API
+  // =============================================
+  function setModParam(param, value) {
+    if (param) param.setTargetAtTime(value, ctx.currentTime, 0.02);
+  }
+
   function setVibratoEnabled(on) {
     vibratoEnabled = on;
+    setModParam(vibratoLFOGain?.gain, on ? vibratoDepth : 0);
   }
 
   function getVibratoEnabled() { return vibratoEnabled; }
 
+  function setVibratoRate(hz) {
+    vibratoRate = Math.max(0.5, Math.min(12, hz));
+    setModParam(vibratoLFO?.frequency, vibratoRate);
+  }
+
+  function setVibratoDepth(cents) {
+    vibratoDepth = Math.max(0, Math.min(100, cents));
+    if (vibratoEnabled) setModParam(vibratoLFOGain?.gain, vibratoDepth);
+  }
+
+  // value: -1..1 from the wheel's centre
+  function setPitchBend(value) {
+    pitchBend = Math.max(-1, Math.min(1, value));
+    setModParam(pitchBendSource?.offset, pitchBend * bendRange * 100);
+  }
+
+  function setBendRange(semitones) {
+    bendRange = Math.max(0, Math.min(24, semitones));
+    setModParam(pitchBendSource?.offset, pitchBend * bendRange * 100);
+  }
+
+  function setModWheel(value) {
+    modWheel = Math.max(0, Math.min(1, value));
+    setModParam(modWheelGain?.gain, modWheel * MOD_WHEEL_CENTS);
+  }
+
   // =============================================
   // SONIC STRING VOICE — dispatches to current preset
   // =============================================
-  function playStringVoice(freq, velocity = 0.7, duration = null) {
+  // Strummed voices (default) hold for STRUM_GATE then release; `duration: Infinity`
+  // holds until releaseStringVoice(). `expression` ({ brightness, vibrato }, both 0-1)
+  // routes the voice through its own tone filter + vibrato delay, updatable live.
+  function playStringVoice(freq, velocity = 0.7, duration = null, expression = null) {
+    const voice = VOICES[currentVoice];
+    if (!ctx || !voice) return null;
+    return playVoice(voice, freq, velocity, duration, expression);
+  }
+
+  // One-off note on an unsaved user voice definition (voice editor preview)
+  function auditionVoice(def, freq, velocity = 0.7) {
     if (!ctx) return null;
+    return playVoice(buildUserVoice(def), freq, velocity, null, null);
+  }
+
+  function playVoice(voice, freq, velocity, duration, expression) {
     const vel = Math.max(0.15, Math.min(1, velocity));
-    // Sustain maps: 0 = 0.2s, 1 = 3.0s
-    const dur = duration || (0.2 + sustainValue * 2.8);
+    const held = duration === Infinity;
+    const release = getReleaseTime();
+    // Presets shape their decay from the note length: gate + release, as before
+    const dur = held ? HOLD_DURATION : (duration || STRUM_GATE) + release;
 
-    const voice = VOICES[currentVoice];
-    if (!voice) return null;
+    pruneVoices();
+    while (activeVoices.length >= maxPolyphony) stealVoice();
 
-    const result = voice.build(ctx, masterGain, freq, vel, dur, chorusBus);
+    const now = ctx.currentTime;
+    const chain = expression ? buildExpressionChain(expression) : null;
+    const out = ctx.createGain();
+    out.connect(chain ? chain.input : masterGain);
+    // Per-voice send taps so steals and releases fade the effect sends too.
+    // The chorus tap keeps the `input` shape the presets expect from chorusBus.
+    const chorusOut = ctx.createGain();
+    chorusOut.connect(chorusBus.input);
+    const reverbOut = ctx.createGain();
+    reverbOut.connect(reverbPreDelay);
+
+    const result = voice.build(ctx, out, freq, vel, dur, { input: chorusOut, reverb: reverbOut }, held);
+    connectModBus(result.pitched || result.sources || []);
+    const entry = {
+      outs: [out, chorusOut, reverbOut], sources: result.sources || [], expression: chain,
+      vel, start: now, end: result.stopTime, held
+    };
+    activeVoices.push(entry);
+    if (!held) releaseVoice(entry, now + (duration || STRUM_GATE), release);
+
+    return { stopTime: entry.end, expression: chain, voice: entry };
+  }
 
-    // Global vibrato toggle — adds extra wobble on top of any voice
-    if (vibratoEnabled && result.stopTime) {
-      applyGlobalVibrato(freq, result.stopTime);
-    }
+  // Note-off for a held voice
+  function releaseStringVoice(handle) {
+    if (!ctx || !handle || !activeVoices.includes(handle.voice)) return;
+    releaseVoice(handle.voice, ctx.currentTime, getReleaseTime());
+  }
 
-    return result;
+  // Exponential fade from `time` over `release` seconds, then stop the sources
+  function releaseVoice(entry, time, release) {
+    entry.outs.forEach(node => {
+      node.gain.cancelScheduledValues(time);
+      node.gain.setValueAtTime(node.gain.value, time);
+      node.gain.setTargetAtTime(0, time, release / 5);
+    });
+    stopVoice(entry, time + release);
+  }
+
+  function stopVoice(entry, time) {
+    entry.end = Math.min(entry.end, time);
+    entry.sources.forEach(src => { try { src.stop(entry.end); } catch (e) {} });
+    if (entry.expression) entry.expression.stop(entry.end);
+  }
+
+  // Click-free steal: short linear fade, then drop the voice immediately
+  function stealVoice() {
+    const now = ctx.currentTime;
+    const level = v => v.held ? v.vel : v.vel * Math.max(0, 1 - (now - v.start) / (v.end - v.start));
+    const victim = stealMode === 'quietest'
+      ? activeVoices.reduce((a, b) => (level(b) < level(a) ? b : a))
+      : activeVoices[0];
+    victim.outs.forEach(node => {
+      node.gain.cancelScheduledValues(now);
+      node.gain.setValueAtTime(node.gain.value, now);
+      node.gain.linearRampToValueAtTime(0, now + STEAL_FADE);
+    });
+    stopVoice(victim, now + STEAL_FADE);
+    activeVoices = activeVoices.filter(v => v !== victim);
+  }
+
+  function pruneVoices() {
+    const now = ctx.currentTime;
+    activeVoices = activeVoices.filter(v => v.end > now);
+  }
+
+  // Sustain slider: 0 = 0.05s, 1 = 2.8s release
+  function getReleaseTime() {
+    return 0.05 + sustainValue * 2.75;
+  }
+
+  function setMaxPolyphony(n) {
+    maxPolyphony = Math.max(1, Math.min(32, Math.round(n)));
+    if (!ctx) return;
+    pruneVoices();
+    while (activeVoices.length > maxPolyphony) stealVoice();
   }
 
-  // Global vibrato: 5.5Hz LFO modulating pitch by +/-10 cents
-  // This is applied as an additional effect on top of per-voice vibrato
-  function applyGlobalVibrato(freq, stopTime) {
-    // We can't retroactively connect to oscillators that are already created
-    // inside the voice builder, so the global vibrato is baked into voices
-    // that support it via the vibratoEnabled flag.
-    // For simplicity, the per-voice builders check vibratoEnabled and add extra LFO.
-    // This function is a no-op placeholder — the actual implementation is in each voice.
+  function setStealMode(mode) {
+    stealMode = mode === 'quietest' ? 'quietest' : 'oldest';
+  }
+
+  // Per-voice expression: lowpass for brightness, and a short delay line whose
+  // time is wobbled by an LFO for pitch vibrato (works on any voice preset)
+  function buildExpressionChain({ brightness = 1, vibrato = 0 }) {
+    const now = ctx.currentTime;
+    const tone = ctx.createBiquadFilter();
+    tone.type = 'lowpass';
+    tone.Q.value = 0.5;
+
+    const delay = ctx.createDelay(0.02);
+    delay.delayTime.value = 0.005;
+    const lfo = ctx.createOscillator();
+    lfo.type = 'sine';
+    lfo.frequency.value = 5.5;
+    const depth = ctx.createGain();
+    lfo.connect(depth);
+    depth.connect(delay.delayTime);
+
+    tone.connect(delay);
+    delay.connect(masterGain);
+    lfo.start(now);
+
+    const clamp = v => Math.max(0, Math.min(1, v));
+    const cutoff = v => 600 * Math.pow(16000 / 600, clamp(v)); // 0 → 600 Hz muffled, 1 → 16 kHz open
+    const swing = v => clamp(v) * 0.0004; // 0.4 ms at 5.5 Hz ≈ ±25 cents at full depth
+
+    tone.frequency.value = cutoff(brightness);
+    depth.gain.value = swing(vibrato);
+
+    function setBrightness(v) {
+      tone.frequency.setTargetAtTime(cutoff(v), ctx.currentTime, 0.02);
+    }
+    function setVibrato(v) {
+      depth.gain.setTargetAtTime(swing(v), ctx.currentTime, 0.05);
+    }
+
+    return {
+      input: tone,
+      setBrightness,
+      setVibrato,
+      stop(time) { lfo.stop(time); }
+    };
   }
 
   // =============================================
   // CHORD SUSTAIN PAD
   // =============================================
-  let activeChordVoices = [];
+  // Built-in pad timbres: oscillator partials at `ratio` × the note, mixed into
+  // a key-tracked lowpass. `formants` adds parallel vowel bandpasses.
+  // Any VOICES preset (including user voices) can also be used as the pad.
+  const PAD_TIMBRES = {
+    classic: {
+      name: 'Classic',
+      partials: [
+        { wave: 'sawtooth', ratio: 1, detune: 0, level: 0.3 },
+        { wave: 'sawtooth', ratio: 1, detune: 8, level: 0.2 },
+        { wave: 'triangle', ratio: 0.5, detune: 0, level: 0.15 }
+      ]
+    },
+    organ: {
+      name: 'Organ',
+      // Drawbars: 16' 8' 4' 2 2/3' 2'
+      partials: [
+        { wave: 'sine', ratio: 0.5, detune: 0, level: 0.18 },
+        { wave: 'sine', ratio: 1, detune: 0, level: 0.25 },
+        { wave: 'sine', ratio: 2, detune: 0, level: 0.12 },
+        { wave: 'sine', ratio: 3, detune: 0, level: 0.06 },
+        { wave: 'sine', ratio: 4, detune: 0, level: 0.06 }
+      ]
+    },
+    strings: {
+      name: 'Strings',
+      partials: [
+        { wave: 'sawtooth', ratio: 1, detune: -7, level: 0.25 },
+        { wave: 'sawtooth', ratio: 1, detune: 7, level: 0.25 },
+        { wave: 'sawtooth', ratio: 2, detune: 3, level: 0.08 }
+      ]
+    },
+    choir: {
+      name: 'Choir',
+      partials: [
+        { wave: 'sawtooth', ratio: 1, detune: -5, level: 0.25 },
+        { wave: 'sawtooth', ratio: 1, detune: 5, level: 0.25 },
+        { wave: 'triangle', ratio: 1, detune: 0, level: 0.15 }
+      ],
+      formants: [700, 1150, 2600] // "ah"
+    }
+  };
 
+  let padTimbre = 'classic'; // PAD_TIMBRES key or a VOICES id
+  let padAttack = 0.2;       // s
+  let padRelease = 0.4;      // s
+  let padVolume = 0.5;       // 0-1, pad bus gain
+  let padCutoff = 800;       // Hz, plus key tracking
+  let padResonance = 0.7;
+  let padLegato = false;
+  let padGlide = 0.15;       // s
+  let padOut = null;
+  const PAD_LEVEL = 0.09;       // per-note peak for built-in timbres
+  const PRESET_PAD_LEVEL = 0.3; // presets already shape their own level
+  let activeChordVoices = [];   // { freq, timbre, gain, filter, sends, sources, pitched, end }
+
+  // With legato on, a chord change glides the sounding voices to the new notes
+  // (low to high) and only starts or releases the difference in note count.
   function playChordPad(frequencies) {
     if (!ctx) return;
-    stopChordPad();
-
     const now = ctx.currentTime;
-    const voices = [];
+    const glide = padLegato && activeChordVoices.length && activeChordVoices.every(v =>
+      v.timbre === padTimbre && v.pitched.length && v.end > now);
 
-    frequencies.forEach(freq => {
-      const osc1 = ctx.createOscillator();
-      osc1.type = 'sawtooth';
-      osc1.frequency.value = freq;
+    if (!glide) {
+      stopChordPad();
+      activeChordVoices = frequencies.map(startPadVoice);
+      return;
+    }
 
-      const osc2 = ctx.createOscillator();
-      osc2.type = 'sawtooth';
-      osc2.frequency.value = freq;
-      osc2.detune.value = 8;
+    const held = activeChordVoices.slice().sort((a, b) => a.freq - b.freq);
+    const targets = frequencies.slice().sort((a, b) => a - b);
+    activeChordVoices = targets.map((freq, i) => {
+      if (!held[i]) return startPadVoice(freq);
+      glidePadVoice(held[i], freq, now);
+      return held[i];
+    });
+    held.slice(targets.length).forEach(v => releasePadVoice(v, now));
+  }
 
-      const osc3 = ctx.createOscillator();
-      osc3.type = 'triangle';
-      osc3.frequency.value = freq / 2;
+  function stopChordPad() {
+    if (!ctx) return;
+    const now = ctx.currentTime;
+    activeChordVoices.forEach(v => releasePadVoice(v, now));
+    activeChordVoices = [];
+  }
 
-      const mix = ctx.createGain();
-      const osc1g = ctx.createGain(); osc1g.gain.value = 0.3;
-      const osc2g = ctx.createGain(); osc2g.gain.value = 0.2;
-      const osc3g = ctx.createGain(); osc3g.gain.value = 0.15;
+  function startPadVoice(freq) {
+    const now = ctx.currentTime;
+    const preset = !PAD_TIMBRES[padTimbre] && VOICES[padTimbre];
 
-      osc1.connect(osc1g); osc1g.connect(mix);
-      osc2.connect(osc2g); osc2g.connect(mix);
-      osc3.connect(osc3g); osc3g.connect(mix);
+    const mix = ctx.createGain();
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = padCutoffFor(freq);
+    filter.Q.value = padResonance;
 
-      const flt = ctx.createBiquadFilter();
-      flt.type = 'lowpass';
-      flt.frequency.value = 800 + Math.min(freq, 600);
-      flt.Q.value = 0.7;
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(preset ? PRESET_PAD_LEVEL : PAD_LEVEL, now + padAttack);
+
+    mix.connect(filter);
+    filter.connect(gain);
+    gain.connect(padOut);
+
+    const voice = { freq, timbre: padTimbre, gain, filter, sends: [], sources: [], pitched: [], end: Infinity };
+
+    if (preset) {
+      // Held note: sustaining presets run until the pad releases them. The
+      // preset's own effect sends fade with the pad.
+      const chorusOut = ctx.createGain();
+      chorusOut.connect(chorusBus.input);
+      const reverbOut = ctx.createGain();
+      reverbOut.connect(reverbPreDelay);
+      const result = preset.build(ctx, mix, freq, 0.7, HOLD_DURATION, { input: chorusOut, reverb: reverbOut }, true);
+      voice.sends = [chorusOut, reverbOut];
+      voice.sources = result.sources || [];
+      voice.end = result.stopTime;
+      voice.pitched = (result.pitched || []).map(osc => ({ osc, ratio: osc.frequency.value / freq }));
+      connectModBus(result.pitched || result.sources || []);
+      return voice;
+    }
 
-      const voice = ctx.createGain();
-      voice.gain.setValueAtTime(0, now);
-      voice.gain.linearRampToValueAtTime(0.045, now + 0.2);
+    const timbre = PAD_TIMBRES[padTimbre];
+    let partialsOut = mix;
+    if (timbre.formants) {
+      // Vowel colour: parallel bandpasses over a little of the dry mix
+      partialsOut = ctx.createGain();
+      const dry = ctx.createGain();
+      dry.gain.value = 0.3;
+      partialsOut.connect(dry);
+      dry.connect(mix);
+      timbre.formants.forEach(hz => {
+        const band = ctx.createBiquadFilter();
+        band.type = 'bandpass';
+        band.frequency.value = hz;
+        band.Q.value = 6;
+        partialsOut.connect(band);
+        band.connect(mix);
+      });
+    }
 
-      mix.connect(flt);
-      flt.connect(voice);
-      voice.connect(masterGain);
+    timbre.partials.forEach(p => {
+      const osc = ctx.createOscillator();
+      osc.type = p.wave;
+      osc.frequency.value = freq * p.ratio;
+      osc.detune.value = p.detune;
+      const level = ctx.createGain();
+      level.gain.value = p.level;
+      osc.connect(level);
+      level.connect(partialsOut);
+      osc.start(now);
+      voice.sources.push(osc);
+      voice.pitched.push({ osc, ratio: p.ratio });
+    });
 
-      osc1.start(now);
-      osc2.start(now);
-      osc3.start(now);
+    connectModBus(voice.sources);
+    return voice;
+  }
 
-      voices.push({ osc1, osc2, osc3, gain: voice, filter: flt });
+  function glidePadVoice(voice, freq, time) {
+    const tau = Math.max(0.001, padGlide / 3);
+    voice.pitched.forEach(({ osc, ratio }) => {
+      osc.frequency.cancelScheduledValues(time);
+      osc.frequency.setValueAtTime(osc.frequency.value, time);
+      osc.frequency.setTargetAtTime(freq * ratio, time, tau);
     });
+    voice.filter.frequency.setTargetAtTime(padCutoffFor(freq), time, tau);
+    voice.freq = freq;
+  }
 
-    activeChordVoices = voices;
+  function releasePadVoice(voice, time) {
+    [voice.gain, ...voice.sends].forEach(node => {
+      node.gain.cancelScheduledValues(time);
+      node.gain.setValueAtTime(node.gain.value, time);
+      node.gain.setTargetAtTime(0, time, padRelease / 5);
+    });
+    const end = Math.min(voice.end, time + padRelease);
+    voice.sources.forEach(src => { try { src.stop(end); } catch (e) {} });
   }
 
-  function stopChordPad() {
-    if (!ctx) return;
-    const now = ctx.currentTime;
+  function padCutoffFor(freq) {
+    return padCutoff + Math.min(freq, 600);
+  }
+
+  // --- Pad settings ---
+  function setPadTimbre(id) {
+    if (PAD_TIMBRES[id] || VOICES[id]) padTimbre = id;
+  }
+
+  function getPadTimbre() { return padTimbre; }
+
+  function getPadTimbres() {
+    return Object.entries(PAD_TIMBRES).map(([id, t]) => ({ id, name: t.name }));
+  }
+
+  // Applies from the next chord; the sounding envelope keeps its shape
+  function setPadEnvelope(attack, release) {
+    padAttack = Math.max(0.005, Math.min(4, attack));
+    padRelease = Math.max(0.02, Math.min(6, release));
+  }
+
+  function setPadVolume(value) {
+    padVolume = Math.max(0, Math.min(1, value));
+    setModParam(padOut?.gain, padVolume);
+  }
+
+  function setPadFilter(cutoff, resonance) {
+    padCutoff = Math.max(100, Math.min(12000, cutoff));
+    padResonance = Math.max(0.1, Math.min(15, resonance));
     activeChordVoices.forEach(v => {
-      v.gain.gain.cancelScheduledValues(now);
-      v.gain.gain.setValueAtTime(v.gain.gain.value, now);
-      v.gain.gain.exponentialRampToValueAtTime(0.001, now + 0.4);
-      v.osc1.stop(now + 0.45);
-      v.osc2.stop(now + 0.45);
-      v.osc3.stop(now + 0.45);
+      setModParam(v.filter.frequency, padCutoffFor(v.freq));
+      setModParam(v.filter.Q, padResonance);
     });
-    activeChordVoices = [];
+  }
+
+  function setPadLegato(on, glide = padGlide) {
+    padLegato = on;
+    padGlide = Math.max(0, Math.min(2, glide));
   }
 
   // =============================================
   // DRUM SYNTH
   // =============================================
+  // Per-voice kit parameters as [min, max, default]. Tune is in semitones,
+  // decay scales the envelope length, tone 0-1 darkens/brightens (0.5 = original),
+  // level scales the hit. Open hi-hat shares the hi-hat's parameters.
+  const DRUM_VOICES = ['kick', 'snare', 'hihat', 'clap', 'rim'];
+  const DRUM_PARAMS = { tune: [-12, 12, 0], decay: [0.25, 4, 1], tone: [0, 1, 0.5], level: [0, 1.5, 1] };
+
+  // Preset kits: per-voice overrides of the defaults
+  const DRUM_KITS = {
+    original: { name: 'Omnichord', voices: {} },
+    tr808: {
+      name: '808',
+      voices: {
+        kick:  { tune: -4, decay: 3.5, tone: 0.3, level: 1.2 },
+        snare: { tune: -2, decay: 1.5, tone: 0.4 },
+        hihat: { tune: 2, decay: 1.4, tone: 0.65, level: 0.8 },
+        clap:  { decay: 1.8, tone: 0.45 },
+        rim:   { tune: 3, decay: 1.5, tone: 0.6 }
+      }
+    },
+    tr909: {
+      name: '909',
+      voices: {
+        kick:  { tune: -1, decay: 1.6, tone: 0.85, level: 1.1 },
+        snare: { tune: 2, decay: 1.3, tone: 0.75 },
+        hihat: { tune: 4, decay: 0.9, tone: 0.85 },
+        clap:  { decay: 1.3, tone: 0.65, level: 1.1 },
+        rim:   { tune: 1, tone: 0.7 }
+      }
+    },
+    lofi: {
+      name: 'Lo-fi',
+      voices: {
+        kick:  { tune: -2, decay: 0.8, tone: 0.15 },
+        snare: { tune: -3, decay: 0.7, tone: 0.2, level: 0.9 },
+        hihat: { tune: -5, decay: 0.6, tone: 0.1, level: 0.7 },
+        clap:  { tune: -2, decay: 0.8, tone: 0.2, level: 0.8 },
+        rim:   { tune: -4, decay: 1.2, tone: 0.2 }
+      }
+    }
+  };
+
+  function getKitParams(kit) {
+    const result = {};
+    DRUM_VOICES.forEach(voice => {
+      result[voice] = {};
+      for (const [param, [, , def]] of Object.entries(DRUM_PARAMS)) {
+        result[voice][param] = DRUM_KITS[kit]?.voices[voice]?.[param] ?? def;
+      }
+    });
+    return result;
+  }
+
+  let drumKit = 'original'; // preset the parameters came from, 'custom' once edited
+  let drumParams = getKitParams(drumKit);
+
+  function setDrumKit(kit) {
+    if (!DRUM_KITS[kit]) return;
+    drumKit = kit;
+    drumParams = getKitParams(kit);
+  }
+
+  function setDrumParam(voice, param, value) {
+    const range = DRUM_PARAMS[param];
+    const n = Number(value);
+    if (!drumParams[voice] || !range || !Number.isFinite(n)) return;
+    drumParams[voice][param] = Math.max(range[0], Math.min(range[1], n));
+    drumKit = 'custom';
+  }
+
+  function getDrumKit() { return drumKit; }
+  function getDrumKits() {
+    return Object.entries(DRUM_KITS).map(([id, k]) => ({ id, name: k.name }));
+  }
+  function getDrumSettings() { return JSON.parse(JSON.stringify(drumParams)); }
+  function getDrumParamRanges() { return JSON.parse(JSON.stringify(DRUM_PARAMS)); }
+
+  // Tune as a frequency ratio; tone as a filter ratio spanning `octaves` either side
+  function drumPitch(p) { return Math.pow(2, p.tune / 12); }
+  function drumTone(p, octaves = 2) { return Math.pow(2, (p.tone - 0.5) * 2 * octaves); }
+
   function playKick(time, vol = 0.7) {
     if (!ctx) return;
     const t = time || ctx.currentTime;
+    const p = drumParams.kick;
+    const pitch = drumPitch(p);
+    const decay = p.decay;
+    vol *= p.level;
 
     const osc = ctx.createOscillator();
     osc.type = 'sine';
-    osc.frequency.setValueAtTime(120, t);
-    osc.frequency.exponentialRampToValueAtTime(45, t + 0.1);
+    osc.frequency.setValueAtTime(120 * pitch, t);
+    osc.frequency.exponentialRampToValueAtTime(45 * pitch, t + 0.1 * Math.sqrt(decay));
 
+    // Beater click: louder and brighter as tone goes up
     const click = ctx.createOscillator();
     click.type = 'square';
-    click.frequency.value = 800;
+    click.frequency.value = 800 * drumTone(p, 1);
     const clickGain = ctx.createGain();
-    clickGain.gain.setValueAtTime(vol * 0.15, t);
+    clickGain.gain.setValueAtTime(vol * 0.3 * p.tone, t);
     clickGain.gain.exponentialRampToValueAtTime(0.001, t + 0.008);
     click.connect(clickGain);
     clickGain.connect(masterGain);
 
     const gain = ctx.createGain();
     gain.gain.setValueAtTime(vol * 0.8, t);
-    gain.gain.exponentialRampToValueAtTime(0.001, t + 0.2);
+    gain.gain.exponentialRampToValueAtTime(0.001, t + 0.2 * decay);
 
     const filt = ctx.createBiquadFilter();
     filt.type = 'lowpass';
-    filt.frequency.value = 600;
+    filt.frequency.value = 600 * drumTone(p);
 
     osc.connect(filt);
     filt.connect(gain);
     gain.connect(masterGain);
 
     osc.start(t);
-    osc.stop(t + 0.25);
+    osc.stop(t + 0.25 * decay);
     click.start(t);
     click.stop(t + 0.01);
   }
@@ -830,16 +1598,19 @@ const Audio = (() => {
   function playSnare(time, vol = 0.5) {
     if (!ctx) return;
     const t = time || ctx.currentTime;
+    const p = drumParams.snare;
+    const pitch = drumPitch(p);
+    vol *= p.level;
 
     const noise = getNoiseSource();
     const noiseFilt = ctx.createBiquadFilter();
     noiseFilt.type = 'bandpass';
-    noiseFilt.frequency.value = 4000;
+    noiseFilt.frequency.value = 4000 * drumTone(p);
     noiseFilt.Q.value = 1.5;
 
     const noiseGain = ctx.createGain();
     noiseGain.gain.setValueAtTime(vol * 0.45, t);
-    noiseGain.gain.exponentialRampToValueAtTime(0.001, t + 0.1);
+    noiseGain.gain.exponentialRampToValueAtTime(0.001, t + 0.1 * p.decay);
 
     noise.connect(noiseFilt);
     noiseFilt.connect(noiseGain);
@@ -847,36 +1618,39 @@ const Audio = (() => {
 
     const osc = ctx.createOscillator();
     osc.type = 'sine';
-    osc.frequency.setValueAtTime(220, t);
-    osc.frequency.exponentialRampToValueAtTime(150, t + 0.04);
+    osc.frequency.setValueAtTime(220 * pitch, t);
+    osc.frequency.exponentialRampToValueAtTime(150 * pitch, t + 0.04);
 
     const oscGain = ctx.createGain();
     oscGain.gain.setValueAtTime(vol * 0.3, t);
-    oscGain.gain.exponentialRampToValueAtTime(0.001, t + 0.06);
+    oscGain.gain.exponentialRampToValueAtTime(0.001, t + 0.06 * p.decay);
 
     osc.connect(oscGain);
     oscGain.connect(masterGain);
 
     noise.start(t);
-    noise.stop(t + 0.12);
+    noise.stop(t + 0.12 * p.decay);
     osc.start(t);
-    osc.stop(t + 0.08);
+    osc.stop(t + 0.08 * p.decay);
   }
 
   function playHihat(time, open = false, vol = 0.3) {
     if (!ctx) return;
     const t = time || ctx.currentTime;
-    const duration = open ? 0.18 : 0.035;
+    const p = drumParams.hihat;
+    const duration = (open ? 0.18 : 0.035) * p.decay;
+    vol *= p.level;
 
     const noise = getNoiseSource();
 
+    // Tune shifts the whole band, tone opens or closes its top
     const filt = ctx.createBiquadFilter();
     filt.type = 'highpass';
-    filt.frequency.value = 8000;
+    filt.frequency.value = Math.min(16000, 8000 * drumPitch(p));
 
     const filt2 = ctx.createBiquadFilter();
     filt2.type = 'lowpass';
-    filt2.frequency.value = 12000;
+    filt2.frequency.value = Math.min(20000, 12000 * drumPitch(p) * drumTone(p, 1));
 
     const gain = ctx.createGain();
     gain.gain.setValueAtTime(vol * 0.7, t);
@@ -893,44 +1667,100 @@ const Audio = (() => {
   function playClap(time, vol = 0.4) {
     if (!ctx) return;
     const t = time || ctx.currentTime;
+    const p = drumParams.clap;
+    const pitch = drumPitch(p);
+    vol *= p.level;
 
     for (let i = 0; i < 3; i++) {
       const offset = i * 0.012;
+      // The last burst carries the tail
+      const tail = i === 2 ? 0.05 * p.decay : 0.05;
       const noise = getNoiseSource();
 
       const filt = ctx.createBiquadFilter();
       filt.type = 'bandpass';
-      filt.frequency.value = 2000;
+      filt.frequency.value = 2000 * pitch * drumTone(p, 1);
       filt.Q.value = 1.5;
 
       const gain = ctx.createGain();
       gain.gain.setValueAtTime(vol * 0.35, t + offset);
-      gain.gain.exponentialRampToValueAtTime(0.001, t + offset + 0.05);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + offset + tail);
 
       noise.connect(filt);
       filt.connect(gain);
       gain.connect(masterGain);
       noise.start(t + offset);
-      noise.stop(t + offset + 0.06);
+      noise.stop(t + offset + tail + 0.01);
     }
   }
 
   function playRim(time, vol = 0.3) {
     if (!ctx) return;
     const t = time || ctx.currentTime;
+    const p = drumParams.rim;
+    const duration = 0.012 * p.decay;
+    vol *= p.level;
 
     const osc = ctx.createOscillator();
     osc.type = 'triangle';
-    osc.frequency.value = 1600;
+    osc.frequency.value = 1600 * drumPitch(p);
 
     const gain = ctx.createGain();
     gain.gain.setValueAtTime(vol * 0.6, t);
-    gain.gain.exponentialRampToValueAtTime(0.001, t + 0.012);
+    gain.gain.exponentialRampToValueAtTime(0.001, t + duration);
 
-    osc.connect(gain);
+    // Neutral tone keeps the original unfiltered click
+    if (p.tone === DRUM_PARAMS.tone[2]) {
+      osc.connect(gain);
+    } else {
+      const filt = ctx.createBiquadFilter();
+      filt.type = 'lowpass';
+      filt.frequency.value = Math.min(20000, 6000 * drumTone(p));
+      osc.connect(filt);
+      filt.connect(gain);
+    }
     gain.connect(masterGain);
     osc.start(t);
-    osc.stop(t + 0.02);
+    osc.stop(t + duration + 0.008);
+  }
+
+  // =============================================
+  // DRUM SAMPLES — user one-shots that replace synth lanes
+  // =============================================
+  const drumSamples = {}; // rhythm lane → AudioBuffer
+
+  function setDrumSample(lane, buffer) {
+    if (buffer) drumSamples[lane] = buffer;
+    else delete drumSamples[lane];
+  }
+
+  function clearDrumSamples() {
+    Object.keys(drumSamples).forEach(lane => delete drumSamples[lane]);
+  }
+
+  // Starts at the scheduled time like the synth voices. The kit's tune, level
+  // and (shortening only) decay still apply. Returns false if the lane has no sample.
+  function playDrumSample(lane, time, vol) {
+    const buffer = drumSamples[lane];
+    if (!ctx || !buffer) return false;
+    const t = time || ctx.currentTime;
+    const p = drumParams[lane === 'ohihat' ? 'hihat' : lane] || drumParams.kick;
+    const rate = drumPitch(p);
+    const length = buffer.duration / rate * Math.min(1, p.decay);
+
+    const src = ctx.createBufferSource();
+    src.buffer = buffer;
+    src.playbackRate.value = rate;
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(vol * p.level, t);
+    if (p.decay < 1) gain.gain.linearRampToValueAtTime(0, t + length);
+
+    src.connect(gain);
+    gain.connect(masterGain);
+    src.start(t);
+    src.stop(t + length);
+    return true;
   }
 
   // =============================================
@@ -967,22 +1797,65 @@ const Audio = (() => {
     getMediaStream,
     now,
     setReverbAmount,
+    // Master FX
+    setFxParam,
+    getFxSettings,
+    getDefaultFx,
     playStringVoice,
+    releaseStringVoice,
     playChordPad,
     stopChordPad,
+    // Chord pad
+    setPadTimbre,
+    getPadTimbre,
+    getPadTimbres,
+    setPadEnvelope,
+    setPadVolume,
+    setPadFilter,
+    setPadLegato,
     playKick,
     playSnare,
     playHihat,
     playClap,
     playRim,
     playMetronomeClick,
+    // Drum kit
+    setDrumKit,
+    getDrumKit,
+    getDrumKits,
+    setDrumParam,
+    getDrumSettings,
+    getDrumParamRanges,
+    // Drum samples
+    setDrumSample,
+    clearDrumSamples,
+    playDrumSample,
     // Voice API
     setVoice,
     getVoice,
     getVoiceNames,
     setSustain,
     getSustain,
+    setMaxPolyphony,
+    setStealMode,
+    // User voices
+    auditionVoice,
+    registerUserVoice,
+    removeUserVoice,
+    getUserVoiceDef,
+    getDefaultUserVoice,
+    normalizeUserVoice,
+    // Sampled voices
+    registerSampleVoice,
+    removeSampleVoice,
+    detectSampleRoot,
     setVibratoEnabled,
-    getVibratoEnabled
+    getVibratoEnabled,
+    // Modulation
+    setVibratoRate,
+    setVibratoDepth,
+    setPitchBend,
+    setBendRange,
+    setModWheel
   };
 })();
@@ -0,0 +1,85 @@
+// bus.js — Shared AudioContext + inter-instrument send/return bus
+// Every window plays through one context. Instruments publish their final output
+// as a named send; effects and visualizers pick sends up as live sources.
+const AudioBus = (() => {
+  let ctx = null;
+  const sends = new Map();  // id → { id, label, input, direct, inserts }
+  const routes = new Map(); // consumerId → Set of sourceIds it currently takes
+
+  const listeners = { change: [] };
+  function on(event, fn) { listeners[event].push(fn); }
+  function emit(event, data) { listeners[event].forEach(fn => fn(data)); }
+
+  function getContext() {
+    if (!ctx) {
+      ctx = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    if (ctx.state === 'suspended') {
+      ctx.resume();
+    }
+    return ctx;
+  }
+
+  // Register a named send. Returns the node the instrument should feed in
+  // place of ctx.destination. Publishing the same id twice returns the same node.
+  function publish(id, label) {
+    const existing = sends.get(id);
+    if (existing) return existing.input;
+
+    const ac = getContext();
+    const input = ac.createGain();
+    const direct = ac.createGain(); // send → speakers, muted while inserted
+    input.connect(direct);
+    direct.connect(ac.destination);
+
+    sends.set(id, { id, label, input, direct, inserts: 0 });
+    emit('change', list());
+    return input;
+  }
+
+  // Route a send into a consumer's node. With `insert`, the send's direct path
+  // is muted so it is only heard through the consumer (pedal-style return).
+  // Returns a release function, or null if the send is missing or would loop.
+  function connect(sourceId, consumerId, destNode, { insert = false } = {}) {
+    const send = sends.get(sourceId);
+    if (!send || !destNode) return null;
+    if (sourceId === consumerId || feeds(consumerId, sourceId)) return null;
+
+    send.input.connect(destNode);
+    if (!routes.has(consumerId)) routes.set(consumerId, new Set());
+    routes.get(consumerId).add(sourceId);
+
+    if (insert && send.inserts++ === 0) {
+      send.direct.gain.setTargetAtTime(0, ctx.currentTime, 0.01);
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      try { send.input.disconnect(destNode); } catch(e) {}
+      routes.get(consumerId)?.delete(sourceId);
+      if (insert && --send.inserts === 0) {
+        send.direct.gain.setTargetAtTime(1, ctx.currentTime, 0.01);
+      }
+    };
+  }
+
+  // True if `fromId`'s audio already reaches `toId` through existing routes
+  function feeds(fromId, toId, seen = new Set()) {
+    if (seen.has(toId)) return false;
+    seen.add(toId);
+    const upstream = routes.get(toId);
+    if (!upstream) return false;
+    for (const id of upstream) {
+      if (id === fromId || feeds(fromId, id, seen)) return true;
+    }
+    return false;
+  }
+
+  function list() {
+    return [...sends.values()].map(s => ({ id: s.id, label: s.label }));
+  }
+
+  return { getContext, publish, connect, list, on };
+})();
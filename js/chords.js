@@ -1,75 +1,136 @@
-// chords.js — 36 chord definitions (12 roots × Maj/Min/7th)
+// chords.js — Chord definitions (12 roots × 13 qualities) with selectable voicing
 const Chords = (() => {
   const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
 
-  // Semitone intervals from root
+  // Semitone intervals from root. `family` picks the grid colour (maj/min/sev skin vars).
   const TYPES = {
-    maj: [0, 4, 7],       // Major: 1-3-5
-    min: [0, 3, 7],       // Minor: 1-b3-5
-    sev: [0, 4, 7, 10]    // Seventh: 1-3-5-b7
+    maj:  { intervals: [0, 4, 7],         suffix: '',     row: 'MAJ',  family: 'maj' }, // 1-3-5
+    min:  { intervals: [0, 3, 7],         suffix: 'm',    row: 'MIN',  family: 'min' }, // 1-b3-5
+    sev:  { intervals: [0, 4, 7, 10],     suffix: '7',    row: '7TH',  family: 'sev' }, // 1-3-5-b7
+    maj7: { intervals: [0, 4, 7, 11],     suffix: 'maj7', row: 'MAJ7', family: 'maj' }, // 1-3-5-7
+    m7:   { intervals: [0, 3, 7, 10],     suffix: 'm7',   row: 'MIN7', family: 'min' }, // 1-b3-5-b7
+    m7b5: { intervals: [0, 3, 6, 10],     suffix: 'm7b5', row: 'M7B5', family: 'min' }, // 1-b3-b5-b7
+    dom9: { intervals: [0, 4, 7, 10, 14], suffix: '9',    row: '9TH',  family: 'sev' }, // 1-3-5-b7-9
+    add9: { intervals: [0, 4, 7, 14],     suffix: 'add9', row: 'ADD9', family: 'maj' }, // 1-3-5-9
+    six:  { intervals: [0, 4, 7, 9],      suffix: '6',    row: '6TH',  family: 'maj' }, // 1-3-5-6
+    sus2: { intervals: [0, 2, 7],         suffix: 'sus2', row: 'SUS2', family: 'sev' }, // 1-2-5
+    sus4: { intervals: [0, 5, 7],         suffix: 'sus4', row: 'SUS4', family: 'sev' }, // 1-4-5
+    dim:  { intervals: [0, 3, 6],         suffix: 'dim',  row: 'DIM',  family: 'min' }, // 1-b3-b5
+    aug:  { intervals: [0, 4, 8],         suffix: '+',    row: 'AUG',  family: 'maj' }  // 1-3-#5
   };
 
-  // A4 = 440 Hz
+  // Voicings: root position, inversions (lowest tone moved up an octave), or open
+  // (every other tone lifted an octave). The strip follows the inversion's bass note.
+  const VOICINGS = {
+    close: 'ROOT',
+    inv1: '1ST INV',
+    inv2: '2ND INV',
+    inv3: '3RD INV',
+    open: 'OPEN'
+  };
+  let voicing = 'close';
+
+  // Church modes as semitone steps from the tonic
+  const MODES = {
+    major:      { name: 'Major',      steps: [0, 2, 4, 5, 7, 9, 11] },
+    minor:      { name: 'Minor',      steps: [0, 2, 3, 5, 7, 8, 10] },
+    dorian:     { name: 'Dorian',     steps: [0, 2, 3, 5, 7, 9, 10] },
+    phrygian:   { name: 'Phrygian',   steps: [0, 1, 3, 5, 7, 8, 10] },
+    lydian:     { name: 'Lydian',     steps: [0, 2, 4, 6, 7, 9, 11] },
+    mixolydian: { name: 'Mixolydian', steps: [0, 2, 4, 5, 7, 9, 10] },
+    locrian:    { name: 'Locrian',    steps: [0, 1, 3, 5, 6, 8, 10] }
+  };
+  const NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+  // Tuning and strip range, shared by pads, strings and MIDI input
+  let a4 = 440;        // reference pitch, Hz
+  let transpose = 0;   // semitones, applied to every chord note
+  let stripOctave = 3; // strip starts in this octave
+  let stripSpan = 4;   // octaves covered before the top cap note
+  let stripLayout = 'chord'; // 'chord' tones only, or 'scale' passing tones too
+  let stripScale = { root: null, mode: 'major' }; // root null = follow the chord root
+
   function midiToFreq(midi) {
-    return 440 * Math.pow(2, (midi - 69) / 12);
+    return a4 * Math.pow(2, (midi - 69) / 12);
   }
 
   // Root note MIDI numbers (C3 = 48)
   function rootMidi(rootIndex) {
-    return 48 + rootIndex; // C3-based
+    return 48 + rootIndex + transpose; // C3-based
+  }
+
+  function noteName(midi) {
+    return NOTE_NAMES[midi % 12] + (Math.floor(midi / 12) - 1);
+  }
+
+  // Voiced intervals above the root, low to high
+  function voice(intervals) {
+    if (voicing === 'open') {
+      return intervals.map((interval, i) => interval + (i % 2 ? 12 : 0)).sort((a, b) => a - b);
+    }
+    const turns = { inv1: 1, inv2: 2, inv3: 3 }[voicing] || 0;
+    // Triads have no third inversion — stop at the last distinct one
+    const voiced = [...intervals].sort((a, b) => a - b);
+    for (let i = 0; i < Math.min(turns, intervals.length - 1); i++) {
+      voiced.push(voiced.shift() + 12);
+      voiced.sort((a, b) => a - b);
+    }
+    return voiced;
   }
 
-  // Build all 36 chords
   const chords = {};
 
-  NOTE_NAMES.forEach((name, rootIdx) => {
-    Object.entries(TYPES).forEach(([type, intervals]) => {
-      const key = `${name}_${type}`;
-      const baseMidi = rootMidi(rootIdx);
-
-      // Notes across octaves 3-6 for the strings strip (4 octaves + top root)
-      const stripNotes = [];
-      for (let octave = 0; octave < 4; octave++) {
-        intervals.forEach(interval => {
-          const midi = baseMidi + interval + (octave * 12);
-          stripNotes.push({
-            midi,
-            freq: midiToFreq(midi),
-            name: NOTE_NAMES[(rootIdx + interval) % 12] + (3 + octave)
-          });
-        });
-      }
-      // Cap with the root at the top of the range
-      const topMidi = baseMidi + (4 * 12);
-      stripNotes.push({
-        midi: topMidi,
-        freq: midiToFreq(topMidi),
-        name: NOTE_NAMES[rootIdx] + 7
-      });
+  function buildChord(name, rootIdx, type) {
+    const { intervals, suffix, family } = TYPES[type];
+    const baseMidi = rootMidi(rootIdx);
+    const voiced = voice(intervals);
 
-      // Chord pad notes (octave 3-4, close voicing)
-      const padNotes = intervals.map(interval => ({
-        midi: baseMidi + interval,
-        freq: midiToFreq(baseMidi + interval)
-      }));
-      // Add octave above root
-      padNotes.push({
-        midi: baseMidi + 12,
-        freq: midiToFreq(baseMidi + 12)
-      });
+    // Strip: chord tones (plus scale passing tones in scale layout) across the span,
+    // starting on the voicing's bass note and capped with that note on top
+    const chordTones = new Set(intervals.map(i => i % 12));
+    const stripTones = new Set(chordTones);
+    if (stripLayout === 'scale') {
+      const scaleRoot = stripScale.root ?? rootIdx;
+      MODES[stripScale.mode].steps.forEach(step => stripTones.add((scaleRoot + step - rootIdx + 12) % 12));
+    }
+    const stripBase = baseMidi + (stripOctave - 3) * 12;
+    const zoneCount = stripTones.size * stripSpan + 1;
+    const stripNotes = [];
+    for (let midi = stripBase + voiced[0] % 12; stripNotes.length < zoneCount; midi++) {
+      const tone = (midi - stripBase) % 12;
+      if (!stripTones.has(tone)) continue;
+      stripNotes.push({ midi, freq: midiToFreq(midi), name: noteName(midi), chordTone: chordTones.has(tone) });
+    }
 
-      chords[key] = {
-        name,
-        type,
-        label: type === 'maj' ? name : type === 'min' ? name + 'm' : name + '7',
-        root: rootIdx,
-        intervals,
-        stripNotes,     // for Sonic Strings (sorted low to high)
-        padFreqs: padNotes.map(n => n.freq),
-        padMidi: padNotes.map(n => n.midi)
-      };
+    // Chord pad notes (octave 3-4) with the bass note doubled an octave up
+    const padMidi = voiced.map(interval => baseMidi + interval);
+    if (!padMidi.includes(padMidi[0] + 12)) padMidi.push(padMidi[0] + 12);
+    padMidi.sort((a, b) => a - b);
+
+    return {
+      key: `${name}_${type}`,
+      name,
+      type,
+      family,
+      label: name + suffix,
+      root: rootIdx,
+      intervals,
+      stripNotes,     // for Sonic Strings (sorted low to high)
+      padFreqs: padMidi.map(midiToFreq),
+      padMidi
+    };
+  }
+
+  function buildAll() {
+    NOTE_NAMES.forEach((name, rootIdx) => {
+      Object.keys(TYPES).forEach(type => {
+        const chord = buildChord(name, rootIdx, type);
+        chords[chord.key] = chord;
+      });
     });
-  });
+  }
+
+  buildAll();
 
   // Active chord state
   let activeChord = null;
@@ -99,5 +160,100 @@ const Chords = (() => {
     return Object.keys(TYPES);
   }
 
-  return { setActive, getActive, get, getAllKeys, getNoteNames, getTypes };
+  function getTypeLabel(type) {
+    return TYPES[type]?.row || type;
+  }
+
+  // --- Diatonic harmony ---
+  // Stack thirds on a scale degree and name the quality from its intervals
+  function degreeQuality(steps, degree, sevenths) {
+    const at = offset => (steps[(degree + offset) % 7] - steps[degree] + 12) % 12;
+    const third = at(2), fifth = at(4), seventh = at(6);
+    const triad = third === 4 ? (fifth === 8 ? 'aug' : 'maj') : (fifth === 6 ? 'dim' : 'min');
+    if (!sevenths) return triad;
+    if (triad === 'maj') return seventh === 11 ? 'maj7' : 'sev';
+    if (triad === 'min') return 'm7';
+    if (triad === 'dim') return 'm7b5';
+    return triad;
+  }
+
+  // Roman numeral relative to the major scale: bIII, iv, vii°, V7...
+  function numeral(semis, degree, type) {
+    const shift = semis - MODES.major.steps[degree];
+    const accidental = shift < 0 ? 'b' : shift > 0 ? '#' : '';
+    const minor = ['min', 'm7', 'dim', 'm7b5'].includes(type);
+    const base = minor ? NUMERALS[degree].toLowerCase() : NUMERALS[degree];
+    const suffix = { dim: '°', aug: '+', sev: '7', maj7: 'maj7', m7: '7', m7b5: 'ø7' }[type] || '';
+    return accidental + base + suffix;
+  }
+
+  // The seven chords of a key: [{ key, numeral, degree }]
+  function getDiatonic(tonicIdx, mode, sevenths = false) {
+    const steps = MODES[mode].steps;
+    return steps.map((semis, degree) => {
+      const type = degreeQuality(steps, degree, sevenths);
+      return {
+        key: `${NOTE_NAMES[(tonicIdx + semis) % 12]}_${type}`,
+        numeral: numeral(semis, degree, type),
+        degree
+      };
+    });
+  }
+
+  // Triads from the parallel major/minor that the key itself doesn't contain.
+  // Degrees that match the key come back null.
+  function getBorrowed(tonicIdx, mode) {
+    const majorLike = MODES[mode].steps[2] === 4;
+    const own = getDiatonic(tonicIdx, mode).map(c => c.key);
+    return getDiatonic(tonicIdx, majorLike ? 'minor' : 'major').map(c =>
+      own.includes(c.key) ? null : { ...c, borrowed: true }
+    );
+  }
+
+  function getModes() { return Object.keys(MODES); }
+  function getModeLabel(mode) { return MODES[mode]?.name || mode; }
+
+  // Settings rebuild every chord; the active chord follows its key
+  function rebuild() {
+    buildAll();
+    if (activeChord) activeChord = chords[activeChord.key];
+  }
+
+  function setVoicing(mode) {
+    if (!VOICINGS[mode]) return;
+    voicing = mode;
+    rebuild();
+  }
+
+  function setTuning(refHz, semitones) {
+    a4 = Math.max(400, Math.min(480, refHz));
+    transpose = Math.max(-12, Math.min(12, Math.round(semitones)));
+    rebuild();
+  }
+
+  function setStripRange(startOctave, octaves) {
+    stripOctave = Math.max(1, Math.min(6, Math.round(startOctave)));
+    stripSpan = Math.max(1, Math.min(6, Math.round(octaves)));
+    rebuild();
+  }
+
+  // layout: 'chord' or 'scale'; mode from getModes(); root null follows each chord
+  function setStripLayout(layout, mode = stripScale.mode, root = null) {
+    stripLayout = layout === 'scale' ? 'scale' : 'chord';
+    if (MODES[mode]) stripScale = { root, mode };
+    rebuild();
+  }
+
+  function getTuning() { return { a4, transpose }; }
+
+  function getVoicing() { return voicing; }
+  function getVoicings() { return Object.keys(VOICINGS); }
+  function getVoicingLabel(mode) { return VOICINGS[mode]; }
+
+  return {
+    setActive, getActive, get, getAllKeys, getNoteNames, getTypes, getTypeLabel,
+    setVoicing, getVoicing, getVoicings, getVoicingLabel,
+    getDiatonic, getBorrowed, getModes, getModeLabel,
+    midiToFreq, setTuning, getTuning, setStripRange, setStripLayout
+  };
 })();
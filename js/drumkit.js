@@ -0,0 +1,102 @@
+// drumkit.js — Drum kit presets and per-voice tune/decay/tone/level editing
+const DrumKit = (() => {
+  const STORAGE_KEY = 'omnichord-drum-kit';
+
+  // Ranges come from Audio; tone and level are edited as percentages
+  const FIELDS = [
+    { param: 'tune', label: 'Tune', step: 1, unit: 'st' },
+    { param: 'decay', label: 'Decay', step: 0.05, unit: '×' },
+    { param: 'tone', label: 'Tone', step: 1, scale: 100, unit: '%' },
+    { param: 'level', label: 'Level', step: 1, scale: 100, unit: '%' }
+  ];
+
+  function init() {
+    const saved = getSaved();
+    if (saved.kit) Audio.setDrumKit(saved.kit);
+    if (saved.kit === 'custom' && saved.params) {
+      Object.entries(saved.params).forEach(([voice, params]) => {
+        Object.entries(params).forEach(([param, value]) => Audio.setDrumParam(voice, param, value));
+      });
+    }
+    renderKitSelect();
+    renderFields();
+    wireControls();
+  }
+
+  // --- Storage ---
+  function getSaved() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      kit: Audio.getDrumKit(),
+      params: Audio.getDrumSettings()
+    }));
+  }
+
+  // --- Kit select (edited kits show as "Custom") ---
+  function renderKitSelect() {
+    const select = document.getElementById('drum-kit');
+    select.innerHTML = '';
+    Audio.getDrumKits().forEach(({ id, name }) => {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = name;
+      select.appendChild(opt);
+    });
+    if (Audio.getDrumKit() === 'custom') {
+      const opt = document.createElement('option');
+      opt.value = 'custom';
+      opt.textContent = 'Custom';
+      select.appendChild(opt);
+    }
+    select.value = Audio.getDrumKit();
+  }
+
+  // --- Form ---
+  function renderFields() {
+    const container = document.getElementById('drum-kit-fields');
+    container.innerHTML = '';
+    const settings = Audio.getDrumSettings();
+    const ranges = Audio.getDrumParamRanges();
+
+    Object.entries(settings).forEach(([voice, params]) => {
+      const group = SliderForm.fieldGroup(container, voice);
+      FIELDS.forEach(field => {
+        const scale = field.scale || 1;
+        const [min, max] = ranges[field.param];
+        const slider = { ...field, min: min * scale, max: max * scale };
+        group.appendChild(SliderForm.sliderRow(slider, params[field.param], value => {
+          const wasCustom = Audio.getDrumKit() === 'custom';
+          Audio.setDrumParam(voice, field.param, value);
+          save();
+          if (!wasCustom) renderKitSelect();
+        }));
+      });
+    });
+  }
+
+  // --- Actions ---
+  function wireControls() {
+    document.getElementById('drum-kit-btn').addEventListener('click', e => {
+      const panel = document.getElementById('drum-kit-panel');
+      panel.classList.toggle('hidden');
+      e.currentTarget.classList.toggle('active', !panel.classList.contains('hidden'));
+    });
+
+    document.getElementById('drum-kit').addEventListener('change', e => {
+      if (e.target.value === 'custom') return;
+      Audio.setDrumKit(e.target.value);
+      save();
+      renderKitSelect();
+      renderFields();
+    });
+  }
+
+  return { init };
+})();
@@ -0,0 +1,251 @@
+// drumsamples.js — User one-shot drum kits, assigned per rhythm lane and kept in IndexedDB
+const DrumSamples = (() => {
+  const DB_NAME = 'omnichord-drum-samples';
+  const STORE = 'kits';
+  const ACTIVE_KEY = 'omnichord-drum-sample-kit';
+
+  // Filename → lane. Open hats are matched before closed ones; short
+  // abbreviations (bd, sd, hh…) only count as whole words.
+  const LANE_MATCHERS = [
+    ['ohihat', /open|(?<![a-z])(oh|ohh|ohat)(?![a-z])/],
+    ['hihat',  /hi-?hat|hat|(?<![a-z])(hh|chh)(?![a-z])/],
+    ['kick',   /kick|kik|bass-?drum|(?<![a-z])bd(?![a-z])/],
+    ['snare',  /snare|snr|(?<![a-z])sd(?![a-z])/],
+    ['clap',   /clap|(?<![a-z])cp(?![a-z])/],
+    ['rim',    /rim|stick|(?<![a-z])rs(?![a-z])/]
+  ];
+  const AUDIO_FILE = /\.(wav|mp3|ogg|flac|m4a|aiff?)$/i;
+
+  const kits = new Map(); // name → { name, lanes: { lane: { label, data: ArrayBuffer } } }
+  let active = null;      // kit whose samples are loaded into Audio
+  let pendingLane = null; // lane the file picker loads into (null = assign by name)
+  let dbPromise = null;
+
+  async function init() {
+    wireControls();
+    try {
+      (await dbRequest('readonly', store => store.getAll())).forEach(kit => kits.set(kit.name, kit));
+    } catch (e) {
+      // No IndexedDB (private browsing, some file:// setups): kits last until reload
+    }
+    await select(localStorage.getItem(ACTIVE_KEY));
+  }
+
+  // --- Storage (decoded buffers can't be stored, so keep the file bytes) ---
+  function openDB() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'name' });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  async function dbRequest(mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  function persist(kit) {
+    dbRequest('readwrite', store => store.put(kit)).catch(() => {});
+  }
+
+  // --- Loading ---
+  function readFile(file) {
+    return new Promise(resolve => {
+      const reader = new FileReader();
+      reader.onload = e => resolve(e.target.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  // decodeAudioData detaches its input, so decode a copy and keep the bytes for storage
+  function decode(data) {
+    const ctx = Audio.getContext();
+    return new Promise(resolve => {
+      ctx.decodeAudioData(data.slice(0), resolve, () => resolve(null));
+    });
+  }
+
+  function laneForFile(name) {
+    const base = name.toLowerCase().replace(/\.[^.]+$/, '');
+    return LANE_MATCHERS.find(([, pattern]) => pattern.test(base))?.[0] || null;
+  }
+
+  // Files go to `lane`, or to the lane their names suggest; the first file
+  // for a lane wins. With no kit selected, a new one is created.
+  async function loadFiles(files, lane = null) {
+    const audioFiles = [...files].filter(f => f.type.startsWith('audio/') || AUDIO_FILE.test(f.name));
+    if (!audioFiles.length) return;
+
+    const assigned = {};
+    const skipped = [];
+    const duplicates = [];
+    for (const file of audioFiles) {
+      const target = lane || laneForFile(file.name);
+      if (assigned[target]) {
+        duplicates.push(`${file.name} (${target} is ${assigned[target].label})`);
+        continue;
+      }
+      const data = target && await readFile(file);
+      const buffer = data && await decode(data);
+      if (buffer) assigned[target] = { label: file.name, data, buffer };
+      else skipped.push(file.name);
+    }
+    const notes = [];
+    if (skipped.length) notes.push(`Skipped (no lane in the name, or not decodable): ${skipped.join(', ')}`);
+    if (duplicates.length) notes.push(`Skipped (one sample per lane): ${duplicates.join(', ')}`);
+    if (notes.length) alert(notes.join('\n'));
+    if (!Object.keys(assigned).length) return;
+
+    let kit = kits.get(active);
+    if (!kit) {
+      let n = kits.size + 1;
+      while (kits.has(`Kit ${n}`)) n++;
+      kit = { name: `Kit ${n}`, lanes: {} };
+      kits.set(kit.name, kit);
+      setActive(kit.name);
+    }
+    Object.entries(assigned).forEach(([target, { label, data, buffer }]) => {
+      kit.lanes[target] = { label, data };
+      Audio.setDrumSample(target, buffer);
+    });
+    persist(kit);
+    refresh();
+  }
+
+  // --- Kits ---
+  function setActive(name) {
+    active = kits.has(name) ? name : null;
+    if (active) localStorage.setItem(ACTIVE_KEY, active);
+    else localStorage.removeItem(ACTIVE_KEY);
+  }
+
+  async function select(name) {
+    setActive(name);
+    Audio.clearDrumSamples();
+    refresh();
+    const kit = kits.get(active);
+    if (!kit) return;
+    for (const [lane, sample] of Object.entries(kit.lanes)) {
+      const buffer = await decode(sample.data);
+      if (active !== kit.name) return; // switched kits while decoding
+      Audio.setDrumSample(lane, buffer);
+    }
+  }
+
+  function clearLane(lane) {
+    const kit = kits.get(active);
+    if (!kit) return;
+    delete kit.lanes[lane];
+    Audio.setDrumSample(lane, null);
+    persist(kit);
+    renderLanes();
+  }
+
+  function remove(name) {
+    kits.delete(name);
+    dbRequest('readwrite', store => store.delete(name)).catch(() => {});
+    select(null);
+  }
+
+  // --- Panel ---
+  function refresh() {
+    const kitSelect = document.getElementById('drum-sample-kit');
+    kitSelect.innerHTML = '<option value="">Synth only</option>';
+    kits.forEach((kit, name) => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      kitSelect.appendChild(opt);
+    });
+    kitSelect.value = active || '';
+    document.getElementById('drum-sample-delete').disabled = !active;
+    renderLanes();
+  }
+
+  function renderLanes() {
+    const container = document.getElementById('drum-sample-lanes');
+    container.innerHTML = '';
+    const kit = kits.get(active);
+
+    Rhythm.getLanes().forEach(lane => {
+      const sample = kit?.lanes[lane];
+      const row = document.createElement('div');
+      row.className = 'sample-zone';
+
+      const label = document.createElement('span');
+      label.className = 'sample-zone-label';
+      label.textContent = `${lane === 'ohihat' ? 'open hh' : lane}: ${sample ? sample.label : 'synth'}`;
+      row.appendChild(label);
+
+      const loadBtn = document.createElement('button');
+      loadBtn.textContent = 'Load';
+      loadBtn.title = `Load a sample for ${lane}`;
+      loadBtn.addEventListener('click', () => {
+        pendingLane = lane;
+        document.getElementById('drum-sample-file').click();
+      });
+      row.appendChild(loadBtn);
+
+      if (sample) {
+        const clearBtn = document.createElement('button');
+        clearBtn.textContent = '×';
+        clearBtn.title = 'Back to the synth voice';
+        clearBtn.addEventListener('click', () => clearLane(lane));
+        row.appendChild(clearBtn);
+      }
+
+      container.appendChild(row);
+    });
+  }
+
+  // --- Actions ---
+  function wireControls() {
+    const fileInput = document.getElementById('drum-sample-file');
+    const dropzone = document.getElementById('drum-sample-drop');
+
+    dropzone.addEventListener('dragover', e => {
+      e.preventDefault();
+      dropzone.classList.add('drag-over');
+    });
+    dropzone.addEventListener('dragleave', () => {
+      dropzone.classList.remove('drag-over');
+    });
+    dropzone.addEventListener('drop', e => {
+      e.preventDefault();
+      dropzone.classList.remove('drag-over');
+      loadFiles(e.dataTransfer.files);
+    });
+
+    dropzone.addEventListener('click', () => {
+      pendingLane = null;
+      fileInput.click();
+    });
+    fileInput.addEventListener('change', e => {
+      loadFiles(e.target.files, pendingLane);
+      pendingLane = null;
+      e.target.value = '';
+    });
+
+    document.getElementById('drum-sample-kit').addEventListener('change', e => {
+      select(e.target.value || null);
+    });
+
+    document.getElementById('drum-sample-delete').addEventListener('click', () => {
+      if (!active || !confirm(`Delete drum sample kit "${active}"?`)) return;
+      remove(active);
+    });
+  }
+
+  return { init };
+})();
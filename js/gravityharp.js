@@ -151,13 +151,13 @@ const GravityHarp = (() => {
   // --- Audio ---
   function ensureAudio() {
     if (!audioCtx) {
-      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      audioCtx = AudioBus.getContext();
 
       compressor = audioCtx.createDynamicsCompressor();
       compressor.threshold.value = -18;
       compressor.knee.value = 12;
       compressor.ratio.value = 4;
-      compressor.connect(audioCtx.destination);
+      compressor.connect(AudioBus.publish('gravityharp', 'Gravity Harp'));
 
       masterGain = audioCtx.createGain();
       masterGain.gain.value = 0.7;
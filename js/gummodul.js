@@ -52,7 +52,9 @@ const GumModul = (() => {
   let audioBuffer = null;
   let micStream = null;
   let testOsc = null;
-  let currentSource = 'file'; // 'file' | 'mic' | 'osc'
+  let busSourceId = null;     // AudioBus send picked as live input
+  let busRelease = null;
+  let currentSource = 'file'; // 'file' | 'mic' | 'osc' | 'bus'
   let fileLoaded = false;
   let fileName = '';
 
@@ -143,6 +145,16 @@ const GumModul = (() => {
       btn.addEventListener('click', () => switchSource(btn.dataset.source));
     });
 
+    // Live instrument outputs from the shared bus
+    const busSelect = document.getElementById('gm-bus-select');
+    busSelect.addEventListener('change', () => {
+      if (!busSelect.value) return;
+      busSourceId = busSelect.value;
+      switchSource('bus');
+    });
+    AudioBus.on('change', refreshBusSources);
+    refreshBusSources();
+
     // Play/pause/stop
     document.getElementById('gm-playpause').addEventListener('click', togglePlayPause);
     document.getElementById('gm-stop').addEventListener('click', stopPlayback);
@@ -381,7 +393,7 @@ const GumModul = (() => {
   // --- Audio Engine ---
   function ensureAudioCtx() {
     if (!audioCtx) {
-      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      audioCtx = AudioBus.getContext();
     }
     if (audioCtx.state === 'suspended') {
       audioCtx.resume();
@@ -580,7 +592,7 @@ const GumModul = (() => {
     nodes.phaser.output.connect(nodes.delay.input);
     nodes.delay.output.connect(outputGain);
     outputGain.connect(analyserNode);
-    analyserNode.connect(ctx.destination);
+    analyserNode.connect(AudioBus.publish('gummodul', 'Gum Modul'));
 
     // Apply bypass states
     Object.keys(bypass).forEach(fx => updateBypass(fx));
@@ -729,11 +741,16 @@ const GumModul = (() => {
     document.querySelectorAll('#gummodul-body .gm-source-btn').forEach(b => {
       b.classList.toggle('active', b.dataset.source === source);
     });
+    const busSelect = document.getElementById('gm-bus-select');
+    busSelect.classList.toggle('active', source === 'bus');
+    if (source !== 'bus') busSelect.value = '';
 
     if (source === 'mic') {
       startMic();
     } else if (source === 'osc') {
       startTestOsc();
+    } else if (source === 'bus') {
+      startBus();
     }
     // 'file' waits for play button
   }
@@ -756,6 +773,8 @@ const GumModul = (() => {
       startMic();
     } else if (currentSource === 'osc') {
       startTestOsc();
+    } else if (currentSource === 'bus') {
+      startBus();
     }
   }
 
@@ -774,6 +793,10 @@ const GumModul = (() => {
       try { testOsc.disconnect(); } catch(e) {}
       testOsc = null;
     }
+    if (busRelease) {
+      busRelease();
+      busRelease = null;
+    }
     isPlaying = false;
     updatePlayButton(false);
   }
@@ -829,6 +852,35 @@ const GumModul = (() => {
     updatePlayButton(true);
   }
 
+  // Insert the pedal on another window's output — its dry path is muted
+  // while we hold it, so it's only heard through the effects chain
+  function startBus() {
+    ensureAudioCtx();
+    if (!inputGain) buildChain();
+
+    busRelease = AudioBus.connect(busSourceId, 'gummodul', inputGain, { insert: true });
+    if (!busRelease) {
+      switchSource('file');
+      return;
+    }
+    isPlaying = true;
+    updatePlayButton(true);
+  }
+
+  function refreshBusSources() {
+    const select = document.getElementById('gm-bus-select');
+    if (!select) return;
+    select.innerHTML = '<option value="">LIVE</option>';
+    AudioBus.list().forEach(send => {
+      if (send.id === 'gummodul') return;
+      const opt = document.createElement('option');
+      opt.value = send.id;
+      opt.textContent = send.label;
+      select.appendChild(opt);
+    });
+    if (currentSource === 'bus') select.value = busSourceId;
+  }
+
   // --- Lifecycle ---
   function onOpen() {
     if (audioCtx && audioCtx.state === 'suspended') {
@@ -0,0 +1,77 @@
+// masterfx.js — Master effects panel: reverb, chorus, EQ, compressor and limiter, kept for the browser session
+const MasterFX = (() => {
+  const STORAGE_KEY = 'omnichord-master-fx';
+
+  // Reverb pre-delay and chorus depth are stored in seconds, edited in ms
+  const FIELDS = [
+    { group: 'reverb', param: 'size', label: 'Size', min: 0.3, max: 6, step: 0.1, unit: 's' },
+    { group: 'reverb', param: 'decay', label: 'Decay', min: 0.5, max: 6, step: 0.1 },
+    { group: 'reverb', param: 'preDelay', label: 'Pre-delay', min: 0, max: 250, step: 1, scale: 1000, unit: 'ms' },
+    { group: 'reverb', param: 'damping', label: 'Damping', min: 0, max: 1, step: 0.01 },
+    { group: 'chorus', param: 'rate', label: 'Rate', min: 0.05, max: 5, step: 0.05, unit: 'Hz' },
+    { group: 'chorus', param: 'depth', label: 'Depth', min: 0, max: 8, step: 0.1, scale: 1000, unit: 'ms' },
+    { group: 'chorus', param: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01 },
+    { group: 'eq', param: 'low', label: 'Low', min: -12, max: 12, step: 0.5, unit: 'dB' },
+    { group: 'eq', param: 'mid', label: 'Mid', min: -12, max: 12, step: 0.5, unit: 'dB' },
+    { group: 'eq', param: 'high', label: 'High', min: -12, max: 12, step: 0.5, unit: 'dB' },
+    { group: 'compressor', param: 'threshold', label: 'Threshold', min: -60, max: 0, step: 1, unit: 'dB' },
+    { group: 'compressor', param: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.5, unit: ':1' },
+    { group: 'limiter', param: 'ceiling', label: 'Ceiling', min: -12, max: 0, step: 0.1, unit: 'dB' }
+  ];
+
+  function init() {
+    const saved = getSaved();
+    FIELDS.forEach(({ group, param }) => {
+      if (saved[group]?.[param] !== undefined) Audio.setFxParam(group, param, saved[group][param]);
+    });
+    renderFields();
+    wireControls();
+  }
+
+  // --- Storage ---
+  function getSaved() {
+    try {
+      return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function save() {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(Audio.getFxSettings()));
+  }
+
+  // --- Form ---
+  function renderFields() {
+    const container = document.getElementById('fx-fields');
+    container.innerHTML = '';
+    const settings = Audio.getFxSettings();
+
+    const groups = {};
+    FIELDS.forEach(field => {
+      groups[field.group] = groups[field.group] || SliderForm.fieldGroup(container, field.group);
+      groups[field.group].appendChild(SliderForm.sliderRow(field, settings[field.group][field.param], value => {
+        Audio.setFxParam(field.group, field.param, value);
+        save();
+      }));
+    });
+  }
+
+  // --- Actions ---
+  function wireControls() {
+    document.getElementById('fx-btn').addEventListener('click', e => {
+      const panel = document.getElementById('fx-panel');
+      panel.classList.toggle('hidden');
+      e.currentTarget.classList.toggle('active', !panel.classList.contains('hidden'));
+    });
+
+    document.getElementById('fx-reset').addEventListener('click', () => {
+      const defaults = Audio.getDefaultFx();
+      FIELDS.forEach(({ group, param }) => Audio.setFxParam(group, param, defaults[group][param]));
+      sessionStorage.removeItem(STORAGE_KEY);
+      renderFields();
+    });
+  }
+
+  return { init };
+})();
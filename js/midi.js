@@ -3,6 +3,11 @@ const MIDI = (() => {
   let midiAccess = null;
   let selectedOutput = null;
   let selectedInput = null;
+  const heldNotes = new Map(); // incoming note → string voice, released on note-off
+
+  const listeners = { noteon: [], noteoff: [] };
+  function on(event, fn) { listeners[event].push(fn); }
+  function emit(event, data) { listeners[event].forEach(fn => fn(data)); }
 
   async function init() {
     if (!navigator.requestMIDIAccess) return;
@@ -81,9 +86,23 @@ const MIDI = (() => {
       // Note-on → trigger string note
       const chord = Chords.getActive();
       if (chord) {
-        const freq = 440 * Math.pow(2, (note - 69) / 12);
-        Audio.playStringVoice(freq, velocity / 127);
+        const freq = Chords.midiToFreq(note + Chords.getTuning().transpose);
+        Audio.releaseStringVoice(heldNotes.get(note));
+        heldNotes.set(note, Audio.playStringVoice(freq, velocity / 127, Infinity));
       }
+      emit('noteon', { note, velocity, channel });
+    } else if (command === 8 || command === 9) {
+      // Note-off (or note-on with zero velocity)
+      Audio.releaseStringVoice(heldNotes.get(note));
+      heldNotes.delete(note);
+      emit('noteoff', { note, channel });
+    } else if (command === 14) {
+      // Pitch bend — 14-bit value, centre 8192
+      const [, lsb, msb] = e.data;
+      Audio.setPitchBend((((msb << 7) | lsb) - 8192) / 8192);
+    } else if (command === 11 && note === 1) {
+      // CC1 mod wheel
+      Audio.setModWheel(velocity / 127);
     }
   }
 
@@ -99,5 +118,5 @@ const MIDI = (() => {
     selectedOutput.send([status, note & 0x7F, 0]);
   }
 
-  return { init, selectOutput, selectInput, sendNoteOn, sendNoteOff, refreshDevices };
+  return { init, selectOutput, selectInput, sendNoteOn, sendNoteOff, refreshDevices, on };
 })();
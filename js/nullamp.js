@@ -212,6 +212,8 @@ const Nullamp = (() => {
   let fileLoaded = false;
   let isPlaying = false;
   let startTime = 0, pauseOffset = 0;
+  let busSourceId = null;     // AudioBus send visualized instead of a file
+  let busRelease = null;
   let particles = [];
   let currentVizMode = 0; // 0 = Theme I (classic), 1 = Theme II (stutter)
 
@@ -1677,11 +1679,11 @@ const Nullamp = (() => {
   // === AUDIO FILE LOADING ===
   function initAudioContext() {
     if (audioCtx) return;
-    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    audioCtx = AudioBus.getContext();
     analyser = audioCtx.createAnalyser();
     analyser.fftSize = 2048;
     analyser.smoothingTimeConstant = 0.82;
-    analyser.connect(audioCtx.destination);
+    analyser.connect(AudioBus.publish('nullamp', 'Nullamp'));
     dataArray = new Uint8Array(analyser.fftSize);
     freqArray = new Uint8Array(analyser.frequencyBinCount);
   }
@@ -1693,6 +1695,7 @@ const Nullamp = (() => {
     audioCtx.resume();
 
     stopPlayback();
+    selectBusSource(null);
 
     file.arrayBuffer().then(buf => {
       return audioCtx.decodeAudioData(buf);
@@ -1764,10 +1767,62 @@ const Nullamp = (() => {
       updatePlayPause(false);
     } else {
       if (audioCtx && audioCtx.state === 'suspended') audioCtx.resume();
+      if (busSourceId) selectBusSource(null);
       playFromOffset(pauseOffset);
     }
   }
 
+  // === LIVE BUS SOURCE ===
+  // Another window's output runs through the analyser (and on to the speakers)
+  // in place of the file player.
+  function selectBusSource(id) {
+    disconnectBus();
+    busSourceId = id || null;
+    const sel = document.getElementById('nullamp-source');
+    if (sel) sel.value = busSourceId || '';
+    if (!busSourceId) return;
+
+    if (isPlaying) {
+      pauseOffset = (audioCtx.currentTime - startTime) % audioBuffer.duration;
+      stopPlayback();
+      updatePlayPause(false);
+    }
+    if (isRunning) connectBus();
+  }
+
+  function connectBus() {
+    if (!busSourceId || busRelease) return;
+    initAudioContext();
+    busRelease = AudioBus.connect(busSourceId, 'nullamp', analyser, { insert: true });
+    if (busRelease) {
+      hideDropZone();
+    } else {
+      selectBusSource(null);
+    }
+  }
+
+  function disconnectBus() {
+    if (busRelease) {
+      busRelease();
+      busRelease = null;
+    }
+    if (!fileLoaded) showDropZone();
+  }
+
+  function refreshBusSources() {
+    const sel = document.getElementById('nullamp-source');
+    if (!sel) return;
+    sel.innerHTML = '<option value="">File</option>';
+    AudioBus.list().forEach(send => {
+      if (send.id === 'nullamp') return;
+      const opt = document.createElement('option');
+      opt.value = send.id;
+      opt.textContent = send.label;
+      sel.appendChild(opt);
+    });
+    sel.value = busSourceId || '';
+  }
+
   function updatePlayPause(playing) {
     const btn = document.getElementById('nullamp-playpause');
     if (btn) btn.textContent = playing ? '\u275A\u275A' : '\u25B6';
@@ -1799,7 +1854,7 @@ const Nullamp = (() => {
     const avg = sum / 10 / 255;
     smoothBeat = Math.max(avg, smoothBeat * 0.92);
 
-    if (!fileLoaded) { bridgeAmount = 0; return smoothBeat; }
+    if (!fileLoaded && !busRelease) { bridgeAmount = 0; return smoothBeat; }
 
     let totalEnergy = 0;
     for (let i = 0; i < freqArray.length; i++) totalEnergy += freqArray[i] * freqArray[i];
@@ -2826,7 +2881,7 @@ const Nullamp = (() => {
     const w = canvas.width / dpr;
     const h = canvas.height / dpr;
 
-    if (analyser && fileLoaded) {
+    if (analyser && (fileLoaded || busRelease)) {
       analyser.getByteTimeDomainData(dataArray);
       analyser.getByteFrequencyData(freqArray);
     } else {
@@ -2930,6 +2985,13 @@ const Nullamp = (() => {
 
     if (playPauseBtn) playPauseBtn.addEventListener('click', togglePlayPause);
 
+    const sourceSel = document.getElementById('nullamp-source');
+    if (sourceSel) {
+      sourceSel.addEventListener('change', () => selectBusSource(sourceSel.value));
+      AudioBus.on('change', refreshBusSources);
+      refreshBusSources();
+    }
+
     const resetBtn = document.getElementById('nullamp-reset');
     if (resetBtn) {
       resetBtn.addEventListener('click', () => {
@@ -2998,7 +3060,9 @@ const Nullamp = (() => {
   function onOpen() {
     particles = [];
     start();
-    if (audioBuffer && !isPlaying) {
+    if (busSourceId) {
+      connectBus();
+    } else if (audioBuffer && !isPlaying) {
       if (audioCtx && audioCtx.state === 'suspended') audioCtx.resume();
       playFromOffset(pauseOffset);
     }
@@ -3006,6 +3070,7 @@ const Nullamp = (() => {
 
   function onClose() {
     stop();
+    disconnectBus();
     if (isPlaying) {
       pauseOffset = (audioCtx.currentTime - startTime) % audioBuffer.duration;
       stopPlayback();
@@ -4,16 +4,40 @@ const Patchwerk = (() => {
 
   // --- Module type definitions ---
   const MODULE_TYPES = {
+    keys: {
+      label: 'KEYS', name: 'Keyboard',
+      inputs: [],
+      outputs: [
+        { id: 'pitch', label: 'PITCH', type: 'mod' },
+        { id: 'gate', label: 'GATE', type: 'mod', gate: true }
+      ],
+      knobs: [
+        { id: 'glide', label: 'Glide', min: 0, max: 500, value: 0, unit: 'ms' }
+      ],
+      poly: true, polyOptions: [1, 4, 8], polyDefault: 1
+    },
     osc: {
       label: 'OSC', name: 'Oscillator',
-      inputs: [],
+      inputs: [
+        { id: 'pitch', label: 'PITCH', type: 'mod' },
+        { id: 'fm', label: 'FM', type: 'mod', range: 1000 }
+      ],
       outputs: [{ id: 'out', label: 'OUT', type: 'audio' }],
       knobs: [
         { id: 'freq', label: 'Freq', min: 20, max: 2000, value: 220, log: true, unit: 'Hz' },
-        { id: 'detune', label: 'Detune', min: -100, max: 100, value: 0, unit: 'ct', center: true }
+        { id: 'detune', label: 'Detune', min: -100, max: 100, value: 0, unit: 'ct', center: true },
+        { id: 'fm', label: 'FM', min: 0, max: 100, value: 0, unit: '%' }
       ],
       wave: true, waveOptions: ['sine', 'sawtooth', 'square', 'triangle'], waveDefault: 'sawtooth'
     },
+    noi: {
+      label: 'NOI', name: 'Noise',
+      inputs: [],
+      outputs: [{ id: 'out', label: 'OUT', type: 'audio' }],
+      knobs: [
+        { id: 'level', label: 'Level', min: 0, max: 100, value: 50, unit: '%' }
+      ]
+    },
     lfo: {
       label: 'LFO', name: 'LFO',
       inputs: [],
@@ -24,11 +48,49 @@ const Patchwerk = (() => {
       ],
       wave: true, waveOptions: ['sine', 'sawtooth', 'square', 'triangle'], waveDefault: 'sine'
     },
+    seq: {
+      label: 'SEQ', name: 'Sequencer',
+      inputs: [{ id: 'clock', label: 'CLK', type: 'mod', gate: true }],
+      outputs: [
+        { id: 'pitch', label: 'PITCH', type: 'mod' },
+        { id: 'gate', label: 'GATE', type: 'mod', gate: true }
+      ],
+      knobs: [
+        { id: 'rate', label: 'Rate', min: 30, max: 300, value: 120, unit: 'bpm' },
+        { id: 'length', label: 'Gate', min: 5, max: 100, value: 50, unit: '%' }
+      ],
+      steps: true, stepOptions: [8, 16], stepDefault: 16,
+      mono: true
+    },
+    env: {
+      label: 'ENV', name: 'Envelope',
+      inputs: [{ id: 'gate', label: 'GATE', type: 'mod', gate: true }],
+      outputs: [{ id: 'out', label: 'OUT', type: 'mod', unit: true }],
+      knobs: [
+        { id: 'attack', label: 'Atk', min: 1, max: 2000, value: 10, log: true, unit: 'ms' },
+        { id: 'decay', label: 'Dec', min: 1, max: 2000, value: 250, log: true, unit: 'ms' },
+        { id: 'sustain', label: 'Sus', min: 0, max: 100, value: 60, unit: '%' },
+        { id: 'release', label: 'Rel', min: 1, max: 4000, value: 400, log: true, unit: 'ms' },
+        { id: 'amount', label: 'Amt', min: 0, max: 100, value: 100, unit: '%' }
+      ]
+    },
+    snh: {
+      label: 'S&H', name: 'Sample & Hold',
+      inputs: [
+        { id: 'in', label: 'IN', type: 'mod' },
+        { id: 'trig', label: 'TRIG', type: 'mod', gate: true }
+      ],
+      outputs: [{ id: 'out', label: 'OUT', type: 'mod' }],
+      knobs: [
+        { id: 'rate', label: 'Rate', min: 0.1, max: 30, value: 4, unit: 'Hz' },
+        { id: 'depth', label: 'Depth', min: 0, max: 100, value: 50, unit: '%' }
+      ]
+    },
     flt: {
       label: 'FLT', name: 'Filter',
       inputs: [
         { id: 'in', label: 'IN', type: 'audio' },
-        { id: 'mod', label: 'MOD', type: 'mod' }
+        { id: 'mod', label: 'MOD', type: 'mod', range: 6000 }
       ],
       outputs: [{ id: 'out', label: 'OUT', type: 'audio' }],
       knobs: [
@@ -48,6 +110,43 @@ const Patchwerk = (() => {
         { id: 'gain', label: 'Gain', min: 0, max: 100, value: 75, unit: '%' }
       ]
     },
+    vca: {
+      label: 'VCA', name: 'VCA',
+      inputs: [
+        { id: 'in', label: 'IN', type: 'audio' },
+        { id: 'cv', label: 'CV', type: 'audio' }
+      ],
+      outputs: [{ id: 'out', label: 'OUT', type: 'audio' }],
+      knobs: [
+        { id: 'bias', label: 'Bias', min: 0, max: 100, value: 0, unit: '%' },
+        { id: 'cv', label: 'CV', min: 0, max: 100, value: 100, unit: '%' }
+      ]
+    },
+    mix: {
+      label: 'MIX', name: 'Mixer',
+      inputs: [
+        { id: 'in1', label: '1', type: 'audio' },
+        { id: 'in2', label: '2', type: 'audio' },
+        { id: 'in3', label: '3', type: 'audio' },
+        { id: 'in4', label: '4', type: 'audio' }
+      ],
+      outputs: [{ id: 'out', label: 'OUT', type: 'audio' }],
+      knobs: [
+        { id: 'lvl1', label: 'Ch 1', min: 0, max: 100, value: 75, unit: '%' },
+        { id: 'lvl2', label: 'Ch 2', min: 0, max: 100, value: 75, unit: '%' },
+        { id: 'lvl3', label: 'Ch 3', min: 0, max: 100, value: 75, unit: '%' },
+        { id: 'lvl4', label: 'Ch 4', min: 0, max: 100, value: 75, unit: '%' }
+      ]
+    },
+    shp: {
+      label: 'SHP', name: 'Distortion',
+      inputs: [{ id: 'in', label: 'IN', type: 'audio' }],
+      outputs: [{ id: 'out', label: 'OUT', type: 'audio' }],
+      knobs: [
+        { id: 'drive', label: 'Drive', min: 0, max: 100, value: 40, unit: '%' },
+        { id: 'level', label: 'Level', min: 0, max: 100, value: 60, unit: '%' }
+      ]
+    },
     dly: {
       label: 'DLY', name: 'Delay',
       inputs: [{ id: 'in', label: 'IN', type: 'audio' }],
@@ -56,7 +155,28 @@ const Patchwerk = (() => {
         { id: 'time', label: 'Time', min: 10, max: 1000, value: 300, unit: 'ms' },
         { id: 'feedback', label: 'Fdbk', min: 0, max: 95, value: 40, unit: '%' },
         { id: 'mix', label: 'Mix', min: 0, max: 100, value: 50, unit: '%' }
-      ]
+      ],
+      mono: true
+    },
+    rev: {
+      label: 'REV', name: 'Reverb',
+      inputs: [{ id: 'in', label: 'IN', type: 'audio' }],
+      outputs: [{ id: 'out', label: 'OUT', type: 'audio' }],
+      knobs: [
+        { id: 'size', label: 'Size', min: 0.3, max: 6, value: 2.5, unit: 's' },
+        { id: 'mix', label: 'Mix', min: 0, max: 100, value: 35, unit: '%' }
+      ],
+      mono: true
+    },
+    scope: {
+      label: 'SCOPE', name: 'Scope',
+      inputs: [{ id: 'in', label: 'IN', type: 'audio' }],
+      outputs: [{ id: 'out', label: 'THRU', type: 'audio' }],
+      knobs: [
+        { id: 'time', label: 'Time', min: 2, max: 300, value: 20, log: true, unit: 'ms' }
+      ],
+      scope: true,
+      mono: true
     },
     out: {
       label: 'OUT', name: 'Master',
@@ -64,15 +184,39 @@ const Patchwerk = (() => {
       outputs: [],
       knobs: [
         { id: 'volume', label: 'Vol', min: 0, max: 100, value: 75, unit: '%' }
-      ]
+      ],
+      mono: true
     }
   };
 
   const WAVE_LABELS = { sine: 'SIN', sawtooth: 'SAW', square: 'SQR', triangle: 'TRI' };
   const FILTER_LABELS = { lowpass: 'LP', highpass: 'HP', bandpass: 'BP' };
+  const POLY_LABELS = { 1: 'MONO', 4: '4 VOX', 8: '8 VOX' };
+
+  // SEQ steps are 16th notes over two octaves up from C3
+  const SEQ_BASE_NOTE = 48;
+  const SEQ_RANGE = 24;
+  const SEQ_DEFAULT_NOTES = [0, 12, 7, 3, 0, 10, 7, 12];
+
+  // Look-ahead scheduling, same approach as Rhythm
+  const SCHEDULE_AHEAD = 0.1; // seconds
+  const LOOKAHEAD_MS = 25;    // ms
+
+  const HISTORY_LIMIT = 100;
+
+  // OSC Freq setting at which a patched PITCH input plays at concert pitch
+  const PITCH_UNITY_FREQ = 220;
+
+  // QWERTY → semitones above C (same layout as Spectral); Z/X shift octave
+  const QWERTY_MAP = {
+    'a': 0, 'w': 1, 's': 2, 'e': 3, 'd': 4, 'f': 5,
+    't': 6, 'g': 7, 'y': 8, 'h': 9, 'u': 10, 'j': 11,
+    'k': 12, 'o': 13, 'l': 14, 'p': 15, ';': 16
+  };
 
   // --- State ---
   let audioCtx = null;
+  let busOut = null; // shared bus send — OUT module feeds this
   let modules = [];
   let cables = [];
   let nextModuleId = 1;
@@ -88,6 +232,19 @@ const Patchwerk = (() => {
   let pendingPath = null;
   let initialized = false;
   let isOpen = false;
+  let currentPatchName = null; // name of the loaded/saved user patch
+  let heldKeys = new Map(); // QWERTY key → MIDI note
+  let keyOctave = 0;
+  let clockTimer = null;
+  let noiseBuffer = null;
+  let undoStack = [];  // groups of actions, newest last
+  let redoStack = [];
+  let historyGroup = null; // actions collected by the running transact()
+  let replaying = false;   // true while undo/redo re-runs actions
+  let scopeFrame = null;
+  let scopeColors = null; // read from the skin on first draw, reset on skin change
+  let cableEditor = null;  // open attenuverter popover
+  let editingCable = null;
 
   // --- Init ---
   function init() {
@@ -106,7 +263,7 @@ const Patchwerk = (() => {
       btn.addEventListener('click', () => {
         const type = btn.dataset.type;
         if (type === 'out') return; // Only one OUT
-        addModule(type, 60 + Math.random() * 200, 40 + Math.random() * 150);
+        transact(() => addModule(type, 60 + Math.random() * 200, 40 + Math.random() * 150));
       });
     });
 
@@ -115,21 +272,57 @@ const Patchwerk = (() => {
       btn.addEventListener('click', () => switchSkin(btn.dataset.skin));
     });
 
-    // Preset selector
+    // Preset selector (built-in presets + user library)
     const presetSelect = document.getElementById('pw-preset');
     if (presetSelect) {
+      refreshPresetSelect();
       presetSelect.addEventListener('change', () => {
         const val = presetSelect.value;
-        if (val) loadPreset(val);
-        else clearPatch();
+        transact(() => {
+          if (val.startsWith('user:')) {
+            currentPatchName = val.slice(5);
+            loadFromLibrary(currentPatchName);
+          } else if (val) {
+            currentPatchName = null;
+            loadPreset(val);
+          } else {
+            currentPatchName = null;
+            clearPatch();
+          }
+        });
         presetSelect.value = '';
       });
     }
 
+    // Patch library + file buttons
+    body.querySelector('#pw-save')?.addEventListener('click', () => {
+      const name = prompt('Save patch as:', currentPatchName || '');
+      if (!name || !name.trim()) return;
+      currentPatchName = name.trim();
+      saveToLibrary(currentPatchName);
+    });
+
+    body.querySelector('#pw-delete')?.addEventListener('click', () => {
+      if (!currentPatchName || !getLibrary()[currentPatchName]) return;
+      if (!confirm(`Delete saved patch "${currentPatchName}"?`)) return;
+      deleteFromLibrary(currentPatchName);
+      currentPatchName = null;
+    });
+
+    body.querySelector('#pw-export')?.addEventListener('click', exportPatch);
+
+    const importInput = document.getElementById('pw-import-file');
+    body.querySelector('#pw-import')?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', () => {
+      if (importInput.files[0]) importPatch(importInput.files[0]);
+      importInput.value = '';
+    });
+
     // Workspace click — cancel pending cable
     workspace.addEventListener('click', (e) => {
       if (e.target === workspace || e.target.classList.contains('pw-cables')) {
         cancelPending();
+        closeCableEditor();
       }
     });
 
@@ -139,9 +332,29 @@ const Patchwerk = (() => {
 
     // ESC to cancel pending
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') cancelPending();
+      if (e.key === 'Escape') {
+        cancelPending();
+        closeCableEditor();
+      }
     });
 
+    // Undo / redo — only while Patchwerk is the focused window
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (!isOpen || WindowManager.getActive() !== 'patchwerk') return;
+      if (e.target.closest && e.target.closest('input, select, textarea')) return;
+      e.preventDefault();
+      if (e.shiftKey) redo(); else undo();
+    });
+
+    // KEYS module — QWERTY and MIDI note input
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('keyup', onKeyUp);
+    if (typeof MIDI !== 'undefined') {
+      MIDI.on('noteon', ({ note }) => { if (isOpen) noteOn(note); });
+      MIDI.on('noteoff', ({ note }) => { if (isOpen) noteOff(note); });
+    }
+
     // Pointer up — end knob drag
     document.addEventListener('pointerup', onKnobUp);
     document.addEventListener('pointermove', onKnobMove);
@@ -150,6 +363,7 @@ const Patchwerk = (() => {
     if (typeof WindowManager !== 'undefined') {
       WindowManager.on('open', ({ id }) => { if (id === 'patchwerk') onOpen(); });
       WindowManager.on('close', ({ id }) => { if (id === 'patchwerk') onClose(); });
+      WindowManager.on('focus', ({ id }) => { if (id !== 'patchwerk') releaseHeldKeys(); });
     }
 
     drawAllKnobs();
@@ -158,7 +372,8 @@ const Patchwerk = (() => {
   // --- Audio context ---
   function ensureAudio() {
     if (!audioCtx) {
-      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      audioCtx = AudioBus.getContext();
+      busOut = AudioBus.publish('patchwerk', 'Patchwerk');
     }
     if (audioCtx.state === 'suspended') {
       audioCtx.resume();
@@ -172,29 +387,42 @@ const Patchwerk = (() => {
     ensureAudio();
     startAllModules();
     updateAllCables();
+    clockTimer = setInterval(clockScheduler, LOOKAHEAD_MS);
+    scopeFrame = requestAnimationFrame(renderScopes);
   }
 
   function onClose() {
     isOpen = false;
+    clearInterval(clockTimer);
+    clockTimer = null;
+    cancelAnimationFrame(scopeFrame);
+    scopeFrame = null;
     stopAllModules();
     cancelPending();
+    closeCableEditor();
   }
 
   // --- Create module ---
-  function addModule(type, x, y) {
+  function addModule(type, x, y, id = nextModuleId) {
     const def = MODULE_TYPES[type];
     if (!def) return null;
 
     // Only one OUT allowed
     if (type === 'out' && modules.some(m => m.type === 'out')) return null;
 
-    const id = nextModuleId++;
+    // Undo/redo recreates modules under their old id
+    nextModuleId = Math.max(nextModuleId, id + 1);
     const mod = {
       id, type, x, y,
       knobValues: {},
       wave: def.waveDefault || null,
       filterType: def.filterDefault || null,
-      audioNodes: null
+      poly: def.polyDefault || null,
+      stepCount: def.stepDefault || null,
+      steps: def.steps ? defaultSteps() : null,
+      sync: false,
+      voiceCount: 1,
+      voices: null // one node set per voice, see createAudioNodes
     };
 
     // Init knob values
@@ -213,6 +441,7 @@ const Patchwerk = (() => {
       createAudioNodes(mod);
     }
 
+    record({ kind: 'add', id });
     return mod;
   }
 
@@ -242,7 +471,7 @@ const Patchwerk = (() => {
     // Delete button
     header.querySelector('.pw-module-delete').addEventListener('click', (e) => {
       e.stopPropagation();
-      deleteModule(mod.id);
+      transact(() => deleteModule(mod.id));
     });
 
     // Body
@@ -284,6 +513,35 @@ const Patchwerk = (() => {
       knobsArea.appendChild(btn);
     }
 
+    // Polyphony toggle
+    if (def.poly) {
+      const btn = document.createElement('button');
+      btn.className = 'pw-poly-btn';
+      btn.dataset.moduleId = mod.id;
+      btn.textContent = POLY_LABELS[mod.poly];
+      btn.addEventListener('click', () => cyclePoly(mod, btn));
+      knobsArea.appendChild(btn);
+    }
+
+    // Step count + tempo sync toggles
+    if (def.steps) {
+      const lenBtn = document.createElement('button');
+      lenBtn.className = 'pw-steps-btn';
+      lenBtn.textContent = `${mod.stepCount} ST`;
+      lenBtn.addEventListener('click', () => cycleStepCount(mod, lenBtn));
+      knobsArea.appendChild(lenBtn);
+
+      const syncBtn = document.createElement('button');
+      syncBtn.className = 'pw-sync-btn';
+      syncBtn.textContent = 'SYNC';
+      syncBtn.title = 'Follow the Insomnichord rhythm tempo';
+      syncBtn.addEventListener('click', () => {
+        mod.sync = !mod.sync;
+        syncBtn.classList.toggle('active', mod.sync);
+      });
+      knobsArea.appendChild(syncBtn);
+    }
+
     // Knobs
     def.knobs.forEach(knobDef => {
       const group = document.createElement('div');
@@ -327,9 +585,90 @@ const Patchwerk = (() => {
     }
 
     el.appendChild(body);
+
+    if (def.steps) el.appendChild(buildStepGrid(mod));
+    if (def.scope) {
+      const screen = document.createElement('canvas');
+      screen.className = 'pw-scope';
+      el.appendChild(screen);
+    }
     return el;
   }
 
+  // --- SEQ step editor ---
+  // Click a step to toggle its gate, drag it up/down to set its pitch
+  function buildStepGrid(mod) {
+    const grid = document.createElement('div');
+    grid.className = 'pw-seq-grid';
+
+    mod.steps.forEach((step, i) => {
+      const cell = document.createElement('div');
+      cell.className = 'pw-seq-step';
+      cell.dataset.step = i;
+      const bar = document.createElement('div');
+      bar.className = 'pw-seq-bar';
+      cell.appendChild(bar);
+
+      let startY = 0, startNote = 0, moved = false;
+      cell.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        cell.setPointerCapture(e.pointerId);
+        startY = e.clientY;
+        startNote = step.note;
+        moved = false;
+      });
+      cell.addEventListener('pointermove', (e) => {
+        if (!cell.hasPointerCapture(e.pointerId)) return;
+        const dy = startY - e.clientY;
+        if (Math.abs(dy) > 3) moved = true;
+        if (!moved) return;
+        step.note = Math.max(0, Math.min(SEQ_RANGE, startNote + Math.round(dy / 4)));
+        updateStepGrid(mod);
+      });
+      cell.addEventListener('pointerup', (e) => {
+        if (!cell.hasPointerCapture(e.pointerId)) return;
+        cell.releasePointerCapture(e.pointerId);
+        if (!moved) step.gate = !step.gate;
+        updateStepGrid(mod);
+      });
+
+      grid.appendChild(cell);
+    });
+
+    updateStepGrid(mod, grid);
+    return grid;
+  }
+
+  function updateStepGrid(mod, grid) {
+    grid = grid || document.querySelector(`#pw-mod-${mod.id} .pw-seq-grid`);
+    if (!grid) return;
+    grid.querySelectorAll('.pw-seq-step').forEach((cell, i) => {
+      const step = mod.steps[i];
+      cell.classList.toggle('on', step.gate);
+      cell.classList.toggle('hidden', i >= mod.stepCount);
+      cell.title = noteName(SEQ_BASE_NOTE + step.note);
+      cell.firstChild.style.height = `${15 + step.note / SEQ_RANGE * 85}%`;
+    });
+  }
+
+  function highlightStep(mod, index) {
+    const grid = document.querySelector(`#pw-mod-${mod.id} .pw-seq-grid`);
+    if (!grid) return;
+    grid.querySelectorAll('.pw-seq-step').forEach((cell, i) => {
+      cell.classList.toggle('playing', i === index);
+    });
+  }
+
+  function defaultSteps() {
+    return Array.from({ length: 16 }, (_, i) => ({ note: SEQ_DEFAULT_NOTES[i % 8], gate: true }));
+  }
+
+  function noteName(note) {
+    const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    return names[note % 12] + (Math.floor(note / 12) - 1);
+  }
+
   function createJackEl(moduleId, jack, isOutput) {
     const el = document.createElement('div');
     el.className = 'pw-jack ' + (isOutput ? 'pw-jack-output' : 'pw-jack-input');
@@ -339,6 +678,7 @@ const Patchwerk = (() => {
     el.dataset.isOutput = isOutput;
     el.dataset.label = jack.label;
     el.dataset.jackType = jack.type;
+    if (jack.gate && !isOutput) el.title = `${jack.label}: gate input (KEYS or SEQ GATE only)`;
 
     el.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -352,19 +692,24 @@ const Patchwerk = (() => {
   function deleteModule(id) {
     const mod = modules.find(m => m.id === id);
     if (!mod || mod.type === 'out') return;
+    removeModule(mod);
+  }
 
+  function removeModule(mod) {
     // Remove cables connected to this module
-    const toRemove = cables.filter(c => c.fromModule === id || c.toModule === id);
+    const toRemove = cables.filter(c => c.fromModule === mod.id || c.toModule === mod.id);
     toRemove.forEach(c => disconnectCable(c.id));
 
+    record({ kind: 'remove', id: mod.id, state: serializeModule(mod) });
+
     // Destroy audio
     destroyAudioNodes(mod);
 
     // Remove DOM
-    const el = document.getElementById(`pw-mod-${id}`);
+    const el = document.getElementById(`pw-mod-${mod.id}`);
     if (el) el.remove();
 
-    modules = modules.filter(m => m.id !== id);
+    modules = modules.filter(m => m.id !== mod.id);
   }
 
   // --- Jack click → patching ---
@@ -408,15 +753,42 @@ const Patchwerk = (() => {
       inModId = from.moduleId; inJackId = from.jackId;
     }
 
-    // Remove existing cable on this input
-    const existing = cables.find(c => c.toModule === inModId && c.toJack === inJackId);
-    if (existing) disconnectCable(existing.id);
+    // Gate-event inputs ignore plain signals, so refuse them visibly
+    if (!canPatch(outModId, outJackId, inModId, inJackId)) {
+      cancelPending();
+      flashRefused(inModId, inJackId);
+      return;
+    }
 
-    // Connect
-    connectJacks(outModId, outJackId, inModId, inJackId);
+    // Outputs fan out and inputs stack (and sum), but the same pair only once
+    const duplicate = cables.some(c => c.fromModule === outModId && c.fromJack === outJackId &&
+      c.toModule === inModId && c.toJack === inJackId);
+    if (!duplicate) {
+      transact(() => connectJacks(outModId, outJackId, inModId, inJackId));
+    }
     cancelPending();
   }
 
+  // Inputs flagged `gate` (SEQ CLK, S&H TRIG, ENV GATE) only react to gate
+  // events, which only `gate` outputs send
+  function canPatch(outModId, outJackId, inModId, inJackId) {
+    const outMod = modules.find(m => m.id === outModId);
+    const inMod = modules.find(m => m.id === inModId);
+    if (!outMod || !inMod) return false;
+    const outJack = MODULE_TYPES[outMod.type].outputs.find(j => j.id === outJackId);
+    const inJack = MODULE_TYPES[inMod.type].inputs.find(j => j.id === inJackId);
+    return !!outJack && !!inJack && (!inJack.gate || !!outJack.gate);
+  }
+
+  function flashRefused(moduleId, jackId) {
+    const jackEl = getJackEl(moduleId, jackId);
+    if (!jackEl) return;
+    jackEl.classList.remove('pw-jack-refused');
+    void jackEl.offsetWidth; // restart the animation
+    jackEl.classList.add('pw-jack-refused');
+    setTimeout(() => jackEl.classList.remove('pw-jack-refused'), 600);
+  }
+
   function cancelPending() {
     if (pendingCable) {
       const jackEl = getJackEl(pendingCable.moduleId, pendingCable.jackId);
@@ -431,9 +803,10 @@ const Patchwerk = (() => {
   }
 
   // --- Cable connection ---
-  function connectJacks(fromModId, fromJackId, toModId, toJackId) {
+  // `level` is the cable's attenuverter, -1..1
+  function connectJacks(fromModId, fromJackId, toModId, toJackId, level = 1) {
     const id = nextCableId++;
-    const cable = { id, fromModule: fromModId, fromJack: fromJackId, toModule: toModId, toJack: toJackId };
+    const cable = { id, fromModule: fromModId, fromJack: fromJackId, toModule: toModId, toJack: toJackId, level };
 
     // Create SVG elements (hit area + visible line)
     const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
@@ -445,19 +818,25 @@ const Patchwerk = (() => {
     const linePath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
     linePath.classList.add('pw-cable-line');
 
+    // Hover tooltip: source → destination
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+
+    g.appendChild(title);
     g.appendChild(hitPath);
     g.appendChild(linePath);
 
-    // Click to delete
+    // Click to edit level / unplug
     g.addEventListener('click', (e) => {
       e.stopPropagation();
-      disconnectCable(id);
+      openCableEditor(cable, e);
     });
 
     svgLayer.appendChild(g);
     cable.svgGroup = g;
     cable.hitPath = hitPath;
     cable.linePath = linePath;
+    cable.title = title;
+    updateCableLabel(cable);
 
     cables.push(cable);
     renderCable(cable);
@@ -467,6 +846,10 @@ const Patchwerk = (() => {
 
     // Audio wiring
     wireAudio(cable);
+    refreshPolyphony();
+    reapplyKnobs(toModId);
+
+    record({ kind: 'connect', cable: [fromModId, fromJackId, toModId, toJackId], level });
   }
 
   function disconnectCable(cableId) {
@@ -479,9 +862,93 @@ const Patchwerk = (() => {
 
     // Remove SVG
     if (cable.svgGroup) cable.svgGroup.remove();
+    if (editingCable === cable) closeCableEditor();
 
     cables.splice(idx, 1);
     updateJackStates();
+    refreshPolyphony();
+    reapplyKnobs(cable.toModule);
+
+    record({ kind: 'disconnect', cable: [cable.fromModule, cable.fromJack, cable.toModule, cable.toJack], level: cable.level });
+  }
+
+  // --- Cable editor (attenuverter + unplug) ---
+  function describeCable(cable) {
+    const end = (moduleId, jackId, dir) => {
+      const mod = modules.find(m => m.id === moduleId);
+      if (!mod) return '?';
+      const def = MODULE_TYPES[mod.type];
+      const jack = def[dir].find(j => j.id === jackId);
+      return `${def.label} ${jack ? jack.label : jackId}`;
+    };
+    return `${end(cable.fromModule, cable.fromJack, 'outputs')} → ${end(cable.toModule, cable.toJack, 'inputs')}`;
+  }
+
+  function updateCableLabel(cable) {
+    const pct = Math.round(cable.level * 100);
+    cable.title.textContent = `${describeCable(cable)} (${pct}%)`;
+    cable.svgGroup.classList.toggle('pw-cable-inverted', cable.level < 0);
+    cable.linePath.style.opacity = 0.35 + Math.abs(cable.level) * 0.55;
+  }
+
+  function setCableLevel(cable, level) {
+    cable.level = level;
+    const scale = cableScale(cable) * level;
+    (cable.links || []).forEach(([, , scaler]) => { scaler.gain.value = scale; });
+    updateCableLabel(cable);
+  }
+
+  function openCableEditor(cable, e) {
+    closeCableEditor();
+    editingCable = cable;
+    let startLevel = cable.level; // level before the current drag, for undo
+
+    const wsRect = workspace.getBoundingClientRect();
+    const pop = document.createElement('div');
+    pop.className = 'pw-cable-editor';
+    pop.style.left = (e.clientX - wsRect.left + workspace.scrollLeft) + 'px';
+    pop.style.top = (e.clientY - wsRect.top + workspace.scrollTop) + 'px';
+    pop.innerHTML = `
+      <div class="pw-cable-editor-label"></div>
+      <input type="range" min="-100" max="100" step="1" value="${Math.round(cable.level * 100)}">
+      <div class="pw-cable-editor-row">
+        <span class="pw-cable-editor-value"></span>
+        <button class="pw-cable-editor-unplug">UNPLUG</button>
+      </div>
+    `;
+    pop.querySelector('.pw-cable-editor-label').textContent = describeCable(cable);
+    const slider = pop.querySelector('input');
+    const valueEl = pop.querySelector('.pw-cable-editor-value');
+    valueEl.textContent = `${slider.value}%`;
+
+    slider.addEventListener('input', () => {
+      setCableLevel(cable, slider.value / 100);
+      valueEl.textContent = `${slider.value}%`;
+    });
+    slider.addEventListener('change', () => {
+      const tuple = [cable.fromModule, cable.fromJack, cable.toModule, cable.toJack];
+      record({ kind: 'level', cable: tuple, from: startLevel, to: cable.level });
+      startLevel = cable.level;
+    });
+    pop.querySelector('.pw-cable-editor-unplug').addEventListener('click', () => {
+      transact(() => disconnectCable(cable.id));
+    });
+    pop.addEventListener('click', (ev) => ev.stopPropagation());
+
+    workspace.appendChild(pop);
+    cableEditor = pop;
+  }
+
+  function closeCableEditor() {
+    if (cableEditor) cableEditor.remove();
+    cableEditor = null;
+    editingCable = null;
+  }
+
+  // Some knobs depend on what is patched (OSC Freq with PITCH), so refresh them
+  function reapplyKnobs(moduleId) {
+    const mod = modules.find(m => m.id === moduleId);
+    if (mod) applyAllKnobs(mod);
   }
 
   function updateJackStates() {
@@ -603,6 +1070,7 @@ const Patchwerk = (() => {
 
     const onUp = () => {
       el.classList.remove('pw-dragging');
+      recordMove(mod, dragState);
       dragState = null;
       document.removeEventListener('mousemove', onMove);
       document.removeEventListener('mouseup', onUp);
@@ -643,6 +1111,7 @@ const Patchwerk = (() => {
 
     const onUp = () => {
       el.classList.remove('pw-dragging');
+      recordMove(mod, dragState);
       dragState = null;
       document.removeEventListener('touchmove', onMove);
       document.removeEventListener('touchend', onUp);
@@ -652,6 +1121,11 @@ const Patchwerk = (() => {
     document.addEventListener('touchend', onUp);
   }
 
+  function recordMove(mod, drag) {
+    if (!drag || (mod.x === drag.origX && mod.y === drag.origY)) return;
+    record({ kind: 'move', id: mod.id, from: [drag.origX, drag.origY], to: [mod.x, mod.y] });
+  }
+
   // --- Knob interaction ---
   function onKnobDown(e, mod, knobDef) {
     e.preventDefault();
@@ -697,6 +1171,12 @@ const Patchwerk = (() => {
   function onKnobUp(e) {
     if (!activeKnob) return;
 
+    const mod = modules.find(m => m.id === activeKnob.moduleId);
+    const val = mod?.knobValues[activeKnob.knobId];
+    if (mod && val !== knobDragStartVal) {
+      record({ kind: 'knob', id: mod.id, knob: activeKnob.knobId, from: knobDragStartVal, to: val });
+    }
+
     const canvas = document.querySelector(`.pw-knob-canvas[data-module-id="${activeKnob.moduleId}"][data-knob="${activeKnob.knobId}"]`);
     if (canvas) {
       const group = canvas.closest('.pw-knob-group');
@@ -811,6 +1291,8 @@ const Patchwerk = (() => {
   function formatValue(val, def) {
     if (def.unit === 'Hz' && val >= 1000) return (val / 1000).toFixed(1) + 'k';
     if (def.unit === 'ms') return Math.round(val) + 'ms';
+    if (def.unit === 'bpm') return Math.round(val) + '';
+    if (def.unit === 's') return val.toFixed(1) + 's';
     if (def.unit === '%') return Math.round(val) + '%';
     if (def.unit === 'Hz') return val.toFixed(1);
     if (def.unit === 'ct') return (val >= 0 ? '+' : '') + Math.round(val);
@@ -826,13 +1308,10 @@ const Patchwerk = (() => {
     btn.textContent = WAVE_LABELS[mod.wave];
 
     // Apply to audio
-    if (mod.audioNodes) {
-      if (mod.type === 'osc' && mod.audioNodes.osc) {
-        mod.audioNodes.osc.type = mod.wave;
-      }
-      if (mod.type === 'lfo' && mod.audioNodes.osc) {
-        mod.audioNodes.osc.type = mod.wave;
-      }
+    if (mod.voices) {
+      mod.voices.forEach(nodes => {
+        if (nodes.osc) nodes.osc.type = mod.wave;
+      });
     }
   }
 
@@ -844,11 +1323,29 @@ const Patchwerk = (() => {
     btn.textContent = FILTER_LABELS[mod.filterType];
 
     // Apply to audio
-    if (mod.audioNodes && mod.audioNodes.filter) {
-      mod.audioNodes.filter.type = mod.filterType;
+    if (mod.voices) {
+      mod.voices.forEach(nodes => {
+        if (nodes.filter) nodes.filter.type = mod.filterType;
+      });
     }
   }
 
+  function cycleStepCount(mod, btn) {
+    const opts = MODULE_TYPES[mod.type].stepOptions;
+    const idx = opts.indexOf(mod.stepCount);
+    mod.stepCount = opts[(idx + 1) % opts.length];
+    btn.textContent = `${mod.stepCount} ST`;
+    updateStepGrid(mod);
+  }
+
+  function cyclePoly(mod, btn) {
+    const opts = MODULE_TYPES[mod.type].polyOptions;
+    const idx = opts.indexOf(mod.poly);
+    mod.poly = opts[(idx + 1) % opts.length];
+    btn.textContent = POLY_LABELS[mod.poly];
+    refreshPolyphony();
+  }
+
   // --- Skin switching ---
   function switchSkin(skin) {
     const body = document.getElementById('patchwerk-body');
@@ -864,15 +1361,40 @@ const Patchwerk = (() => {
 
     // Redraw knobs
     drawAllKnobs();
+    scopeColors = null;
   }
 
   // === WEB AUDIO ENGINE ===
 
+  // Each module keeps one node set per voice in mod.voices. Modules patched
+  // downstream of a polyphonic KEYS get a copy per voice; the rest get one.
   function createAudioNodes(mod) {
     const ctx = ensureAudio();
-    const def = MODULE_TYPES[mod.type];
+    mod.voices = [];
+    for (let v = 0; v < mod.voiceCount; v++) {
+      mod.voices.push(buildVoiceNodes(ctx, mod));
+    }
+    if (mod.type === 'keys') resetKeys(mod);
+    if (mod.type === 'seq') {
+      mod.seqStep = 0;
+      mod.seqGateOn = false;
+    }
+    mod.nextStepTime = ctx.currentTime;
+    applyAllKnobs(mod);
+  }
 
+  function buildVoiceNodes(ctx, mod) {
     switch (mod.type) {
+      case 'keys':
+      case 'seq': {
+        const pitch = ctx.createConstantSource();
+        pitch.offset.value = 0;
+        pitch.start();
+        const gate = ctx.createConstantSource();
+        gate.offset.value = 0;
+        gate.start();
+        return { pitch, gate, outputs: { pitch, gate } };
+      }
       case 'osc': {
         const osc = ctx.createOscillator();
         osc.type = mod.wave || 'sawtooth';
@@ -882,8 +1404,22 @@ const Patchwerk = (() => {
         const gain = ctx.createGain();
         gain.gain.value = 1;
         osc.connect(gain);
-        mod.audioNodes = { osc, output: gain };
-        break;
+        // PITCH input (Hz) → scaled by Freq knob → osc frequency
+        const pitchIn = ctx.createGain();
+        pitchIn.connect(osc.frequency);
+        // FM input → FM knob → osc frequency (linear FM / vibrato)
+        const fmIn = ctx.createGain();
+        fmIn.connect(osc.frequency);
+        return { osc, pitchIn, fmIn, inputs: { pitch: pitchIn, fm: fmIn }, output: gain };
+      }
+      case 'noi': {
+        const src = ctx.createBufferSource();
+        src.buffer = getNoiseBuffer(ctx);
+        src.loop = true;
+        src.start(0, Math.random() * src.buffer.duration); // decorrelate voices
+        const gain = ctx.createGain();
+        src.connect(gain);
+        return { src, gain, output: gain };
       }
       case 'lfo': {
         const osc = ctx.createOscillator();
@@ -893,22 +1429,60 @@ const Patchwerk = (() => {
         const gain = ctx.createGain();
         gain.gain.value = mod.knobValues.depth / 100 * 500;
         osc.connect(gain);
-        mod.audioNodes = { osc, depthGain: gain, output: gain };
-        break;
+        return { osc, depthGain: gain, output: gain };
+      }
+      case 'env': {
+        const env = ctx.createConstantSource();
+        env.offset.value = 0;
+        env.start();
+        const gain = ctx.createGain();
+        env.connect(gain);
+        return { env, output: gain, gates: 0 };
+      }
+      case 'snh': {
+        // Held value; IN is read through an analyser at each trigger
+        const held = ctx.createConstantSource();
+        held.offset.value = 0;
+        held.start();
+        const probe = ctx.createAnalyser();
+        probe.fftSize = 32;
+        return { held, probe, probeData: new Float32Array(probe.fftSize), inputs: { in: probe }, output: held };
       }
       case 'flt': {
         const filter = ctx.createBiquadFilter();
         filter.type = mod.filterType || 'lowpass';
         filter.frequency.value = mod.knobValues.cutoff;
         filter.Q.value = mod.knobValues.resonance;
-        mod.audioNodes = { filter, input: filter, modTarget: filter.frequency, output: filter };
-        break;
+        return { filter, input: filter, modTarget: filter.frequency, output: filter };
       }
       case 'amp': {
         const gain = ctx.createGain();
         gain.gain.value = mod.knobValues.gain / 100;
-        mod.audioNodes = { gain, input: gain, modTarget: gain.gain, output: gain };
-        break;
+        return { gain, input: gain, modTarget: gain.gain, output: gain };
+      }
+      case 'vca': {
+        // CV (audio rate allowed) → CV knob → gain, on top of the Bias level
+        const gain = ctx.createGain();
+        const cvIn = ctx.createGain();
+        cvIn.connect(gain.gain);
+        return { gain, cvIn, inputs: { in: gain, cv: cvIn }, output: gain };
+      }
+      case 'mix': {
+        const output = ctx.createGain();
+        const channels = [1, 2, 3, 4].map(() => {
+          const ch = ctx.createGain();
+          ch.connect(output);
+          return ch;
+        });
+        const [in1, in2, in3, in4] = channels;
+        return { in1, in2, in3, in4, inputs: { in1, in2, in3, in4 }, output };
+      }
+      case 'shp': {
+        const shaper = ctx.createWaveShaper();
+        shaper.oversample = '4x';
+        const level = ctx.createGain();
+        shaper.connect(level);
+        return { shaper, level, input: shaper, output: level };
       }
       case 'dly': {
         const input = ctx.createGain();
@@ -935,145 +1509,781 @@ const Patchwerk = (() => {
         dry.connect(output);
         wet.connect(output);
 
-        mod.audioNodes = { input, delay, feedback, wet, dry, output: output };
-        break;
+        return { input, delay, feedback, wet, dry, output: output };
+      }
+      case 'rev': {
+        const input = ctx.createGain();
+        const convolver = ctx.createConvolver();
+        const wet = ctx.createGain();
+        const dry = ctx.createGain();
+        const output = ctx.createGain();
+        input.connect(dry);
+        input.connect(convolver);
+        convolver.connect(wet);
+        dry.connect(output);
+        wet.connect(output);
+        return { input, convolver, wet, dry, output };
+      }
+      case 'scope': {
+        // Passes audio straight through. The trace reads a long time-domain
+        // buffer (no FFT); the bars get a small analyser of their own.
+        const analyser = ctx.createAnalyser();
+        analyser.fftSize = 32768;
+        const spectrum = ctx.createAnalyser();
+        spectrum.fftSize = 2048;
+        spectrum.smoothingTimeConstant = 0.6;
+        analyser.connect(spectrum);
+        return {
+          analyser,
+          spectrum,
+          timeData: new Float32Array(analyser.fftSize),
+          freqData: new Uint8Array(spectrum.frequencyBinCount),
+          input: analyser,
+          output: analyser
+        };
       }
       case 'out': {
         const gain = ctx.createGain();
         gain.gain.value = mod.knobValues.volume / 100;
-        gain.connect(ctx.destination);
-        mod.audioNodes = { gain, input: gain };
-        break;
+        gain.connect(busOut);
+        return { gain, input: gain };
       }
     }
+    return {};
   }
 
   function destroyAudioNodes(mod) {
-    if (!mod.audioNodes) return;
+    if (!mod.voices) return;
 
     // Disconnect everything
-    try {
-      Object.values(mod.audioNodes).forEach(node => {
-        if (node && typeof node.disconnect === 'function') node.disconnect();
-        if (node && typeof node.stop === 'function') {
-          try { node.stop(); } catch(e) {}
-        }
-      });
-    } catch(e) {}
+    mod.voices.forEach(nodes => {
+      try {
+        Object.values(nodes).forEach(node => {
+          if (node && typeof node.disconnect === 'function') node.disconnect();
+          if (node && typeof node.stop === 'function') {
+            try { node.stop(); } catch(e) {}
+          }
+        });
+      } catch(e) {}
+    });
 
-    mod.audioNodes = null;
+    mod.voices = null;
   }
 
-  function wireAudio(cable) {
+  function getOutputNode(nodes, jackId) {
+    return nodes.outputs ? nodes.outputs[jackId] : nodes.output;
+  }
+
+  function getInputNode(nodes, jackDef) {
+    if (nodes.inputs && nodes.inputs[jackDef.id]) return nodes.inputs[jackDef.id];
+    // Modulation inputs connect to an AudioParam, audio inputs to a node
+    return jackDef.type === 'mod' ? nodes.modTarget : nodes.input;
+  }
+
+  // [output, input] node pairs a cable joins. Voice i feeds voice i; a
+  // single-voice end fans out to, or sums from, every voice on the other end.
+  function cableRoutes(cable) {
     const fromMod = modules.find(m => m.id === cable.fromModule);
     const toMod = modules.find(m => m.id === cable.toModule);
-    if (!fromMod?.audioNodes || !toMod?.audioNodes) return;
+    if (!fromMod?.voices || !toMod?.voices) return [];
 
-    const outputNode = fromMod.audioNodes.output;
-    if (!outputNode) return;
+    const toJackDef = MODULE_TYPES[toMod.type].inputs.find(j => j.id === cable.toJack);
+    if (!toJackDef) return [];
+
+    const routes = [];
+    const count = Math.max(fromMod.voices.length, toMod.voices.length);
+    for (let v = 0; v < count; v++) {
+      const outputNode = getOutputNode(fromMod.voices[v % fromMod.voices.length], cable.fromJack);
+      const targetNode = getInputNode(toMod.voices[v % toMod.voices.length], toJackDef);
+      if (outputNode && targetNode) routes.push([outputNode, targetNode]);
+    }
+    return routes;
+  }
 
-    // Determine target
+  // Scale applied between a unit-range output and a ranged mod input.
+  // Outputs flagged `unit` (ENV) swing 0..1 and audio outputs swing ±1; a mod
+  // input's `range` scales those to its own units (FLT MOD, OSC FM in Hz).
+  // LFO-style mod outputs are already in Hz and are taken as-is.
+  function cableScale(cable) {
+    const fromMod = modules.find(m => m.id === cable.fromModule);
+    const toMod = modules.find(m => m.id === cable.toModule);
+    if (!fromMod || !toMod) return 1;
+    const fromJackDef = MODULE_TYPES[fromMod.type].outputs.find(j => j.id === cable.fromJack);
     const toJackDef = MODULE_TYPES[toMod.type].inputs.find(j => j.id === cable.toJack);
-    if (!toJackDef) return;
+    const unitRange = fromJackDef && (fromJackDef.unit || fromJackDef.type === 'audio');
+    return unitRange && toJackDef?.range ? toJackDef.range : 1;
+  }
 
-    let targetNode;
-    if (toJackDef.type === 'mod' && toMod.audioNodes.modTarget) {
-      // Modulation input — connect to AudioParam
-      targetNode = toMod.audioNodes.modTarget;
-    } else {
-      // Audio input
-      targetNode = toMod.audioNodes.input;
+  // Every route runs through its own gain: the input's range times the
+  // cable's attenuverter level. Stacked cables on one input simply sum.
+  function wireAudio(cable) {
+    const scale = cableScale(cable) * cable.level;
+    // Remember what was connected so unwiring matches even after a rebuild
+    cable.links = cableRoutes(cable).map(([outputNode, targetNode]) => {
+      const scaler = audioCtx.createGain();
+      scaler.gain.value = scale;
+      try {
+        scaler.connect(targetNode);
+        outputNode.connect(scaler);
+      } catch(e) {}
+      return [outputNode, targetNode, scaler];
+    });
+  }
+
+  function unwireAudio(cable) {
+    (cable.links || []).forEach(([outputNode, targetNode, scaler]) => {
+      try {
+        outputNode.disconnect(scaler);
+        scaler.disconnect();
+      } catch(e) {}
+    });
+    cable.links = null;
+  }
+
+  function isInputPatched(mod, jackId) {
+    return cables.some(c => c.toModule === mod.id && c.toJack === jackId);
+  }
+
+  function applyAllKnobs(mod) {
+    MODULE_TYPES[mod.type].knobs.forEach(knobDef => applyKnobValue(mod, knobDef));
+  }
+
+  function applyKnobValue(mod, knobDef) {
+    if (!mod.voices) return;
+    const val = mod.knobValues[knobDef.id];
+
+    mod.voices.forEach(nodes => {
+      switch (mod.type) {
+        case 'osc':
+          if (knobDef.id === 'freq') {
+            // With PITCH patched, the input sets the frequency and Freq transposes it
+            nodes.osc.frequency.value = isInputPatched(mod, 'pitch') ? 0 : val;
+            nodes.pitchIn.gain.value = val / PITCH_UNITY_FREQ;
+          }
+          if (knobDef.id === 'detune') nodes.osc.detune.value = val;
+          if (knobDef.id === 'fm') nodes.fmIn.gain.value = val / 100;
+          break;
+        case 'noi':
+          if (knobDef.id === 'level') nodes.gain.gain.value = val / 100;
+          break;
+        case 'snh':
+          // Rate drives the internal clock, depth is applied per sample
+          break;
+        case 'scope':
+          // Time is read by the render loop
+          break;
+        case 'vca':
+          if (knobDef.id === 'bias') nodes.gain.gain.value = val / 100;
+          if (knobDef.id === 'cv') nodes.cvIn.gain.value = val / 100;
+          break;
+        case 'mix':
+          nodes[knobDef.id.replace('lvl', 'in')].gain.value = val / 100;
+          break;
+        case 'shp':
+          if (knobDef.id === 'drive') nodes.shaper.curve = makeDriveCurve(val);
+          if (knobDef.id === 'level') nodes.level.gain.value = val / 100;
+          break;
+        case 'rev':
+          if (knobDef.id === 'size') {
+            // Only rebuild the impulse when the size moves by a noticeable step
+            const size = Math.round(val * 10) / 10;
+            if (nodes.size !== size) {
+              nodes.size = size;
+              nodes.convolver.buffer = buildImpulse(size);
+            }
+          }
+          if (knobDef.id === 'mix') {
+            nodes.wet.gain.value = val / 100;
+            nodes.dry.gain.value = 1 - val / 100;
+          }
+          break;
+        case 'lfo':
+          if (knobDef.id === 'rate') nodes.osc.frequency.value = val;
+          if (knobDef.id === 'depth') nodes.depthGain.gain.value = val / 100 * 500;
+          break;
+        case 'env':
+          // A/D/S/R are read on each gate edge; only the amount is live
+          if (knobDef.id === 'amount') nodes.output.gain.value = val / 100;
+          break;
+        case 'flt':
+          if (knobDef.id === 'cutoff') nodes.filter.frequency.value = val;
+          if (knobDef.id === 'resonance') nodes.filter.Q.value = val;
+          break;
+        case 'amp':
+          if (knobDef.id === 'gain') nodes.gain.gain.value = val / 100;
+          break;
+        case 'dly':
+          if (knobDef.id === 'time') nodes.delay.delayTime.value = val / 1000;
+          if (knobDef.id === 'feedback') nodes.feedback.gain.value = val / 100;
+          if (knobDef.id === 'mix') {
+            nodes.wet.gain.value = val / 100;
+            nodes.dry.gain.value = 1 - val / 100;
+          }
+          break;
+        case 'out':
+          if (knobDef.id === 'volume') nodes.gain.gain.value = val / 100;
+          break;
+      }
+    });
+  }
+
+  function getNoiseBuffer(ctx) {
+    if (!noiseBuffer) {
+      noiseBuffer = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+      const data = noiseBuffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
     }
+    return noiseBuffer;
+  }
 
-    if (targetNode) {
-      try { outputNode.connect(targetNode); } catch(e) {}
+  // Soft-clip curve, gentle at 0% drive and near-square at 100%
+  function makeDriveCurve(drive) {
+    const k = drive / 100 * 50;
+    const curve = new Float32Array(1024);
+    for (let i = 0; i < curve.length; i++) {
+      const x = i / (curve.length - 1) * 2 - 1;
+      curve[i] = (1 + k) * x / (1 + k * Math.abs(x));
     }
+    return curve;
   }
 
-  function unwireAudio(cable) {
-    const fromMod = modules.find(m => m.id === cable.fromModule);
-    const toMod = modules.find(m => m.id === cable.toModule);
-    if (!fromMod?.audioNodes || !toMod?.audioNodes) return;
+  // Decaying stereo noise tail, same recipe as the Insomnichord reverb
+  function buildImpulse(duration) {
+    const rate = audioCtx.sampleRate;
+    const length = Math.floor(rate * duration);
+    const impulse = audioCtx.createBuffer(2, length, rate);
+    for (let ch = 0; ch < 2; ch++) {
+      const data = impulse.getChannelData(ch);
+      for (let i = 0; i < length; i++) {
+        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 2.2);
+      }
+    }
+    return impulse;
+  }
 
-    const outputNode = fromMod.audioNodes.output;
-    if (!outputNode) return;
+  // --- Polyphony ---
+  // Every module reachable downstream of a KEYS module runs one voice per
+  // KEYS voice, up to a mono module (OUT, DLY, SEQ) where the voices mix down.
+  function computeVoiceCounts() {
+    const counts = new Map(modules.map(m => [m.id, 1]));
+    modules.filter(m => m.type === 'keys').forEach(keys => {
+      const queue = [keys.id];
+      const seen = new Set(queue);
+      while (queue.length) {
+        const id = queue.shift();
+        counts.set(id, Math.max(counts.get(id), keys.poly));
+        cables.filter(c => c.fromModule === id).forEach(c => {
+          const to = modules.find(m => m.id === c.toModule);
+          if (!to || seen.has(to.id) || MODULE_TYPES[to.type].mono) return;
+          seen.add(to.id);
+          queue.push(to.id);
+        });
+      }
+    });
+    return counts;
+  }
 
-    const toJackDef = MODULE_TYPES[toMod.type].inputs.find(j => j.id === cable.toJack);
-    if (!toJackDef) return;
+  // Rebuild the audio of any module whose voice count changed, then re-patch
+  function refreshPolyphony() {
+    const counts = computeVoiceCounts();
+    const changed = modules.filter(m => m.voiceCount !== counts.get(m.id));
+    if (!changed.length) return;
+
+    const ids = new Set(changed.map(m => m.id));
+    const touched = cables.filter(c => ids.has(c.fromModule) || ids.has(c.toModule));
+    touched.forEach(c => unwireAudio(c));
+
+    changed.forEach(mod => {
+      const live = !!mod.voices;
+      destroyAudioNodes(mod);
+      mod.voiceCount = counts.get(mod.id);
+      if (live) createAudioNodes(mod);
+    });
 
-    let targetNode;
-    if (toJackDef.type === 'mod' && toMod.audioNodes.modTarget) {
-      targetNode = toMod.audioNodes.modTarget;
-    } else {
-      targetNode = toMod.audioNodes.input;
+    touched.forEach(c => wireAudio(c));
+  }
+
+  // --- KEYS voice allocation ---
+  function resetKeys(mod) {
+    mod.held = [];                                     // held notes, oldest first
+    mod.voiceNotes = mod.voices.map(() => null);       // note sounding per voice
+    mod.voiceOrder = mod.voices.map((_, v) => v);      // voices, least recent first
+  }
+
+  function noteOn(note) {
+    modules.forEach(mod => {
+      if (mod.type === 'keys' && mod.voices) keysNoteOn(mod, note);
+    });
+  }
+
+  function noteOff(note) {
+    modules.forEach(mod => {
+      if (mod.type === 'keys' && mod.voices) keysNoteOff(mod, note);
+    });
+  }
+
+  function keysNoteOn(mod, note) {
+    if (mod.held.includes(note)) return;
+    mod.held.push(note);
+    const t = audioCtx.currentTime;
+
+    // Mono: last-note priority, gliding between held notes (legato)
+    if (mod.voices.length === 1) {
+      const legato = mod.voiceNotes[0] !== null;
+      setVoicePitch(mod, 0, note, t, legato ? mod.knobValues.glide / 1000 : 0);
+      if (!legato) setVoiceGate(mod, 0, true, t);
+      mod.voiceNotes[0] = note;
+      return;
     }
 
-    if (targetNode) {
-      try { outputNode.disconnect(targetNode); } catch(e) {}
+    // Poly: oldest free voice, or steal the oldest sounding one
+    let v = mod.voiceOrder.find(i => mod.voiceNotes[i] === null);
+    let start = t;
+    if (v === undefined) {
+      v = mod.voiceOrder[0];
+      mod.held = mod.held.filter(n => n !== mod.voiceNotes[v]);
+      setVoiceGate(mod, v, false, t);
+      start = t + 0.005; // short gap so the stolen voice retriggers
     }
+    mod.voiceOrder = mod.voiceOrder.filter(i => i !== v).concat(v);
+    mod.voiceNotes[v] = note;
+    setVoicePitch(mod, v, note, start, 0);
+    setVoiceGate(mod, v, true, start);
   }
 
-  function applyKnobValue(mod, knobDef) {
-    if (!mod.audioNodes) return;
-    const val = mod.knobValues[knobDef.id];
+  function keysNoteOff(mod, note) {
+    mod.held = mod.held.filter(n => n !== note);
+    const t = audioCtx.currentTime;
 
+    if (mod.voices.length === 1) {
+      if (mod.voiceNotes[0] !== note) return;
+      const last = mod.held[mod.held.length - 1];
+      if (last !== undefined) {
+        setVoicePitch(mod, 0, last, t, mod.knobValues.glide / 1000);
+        mod.voiceNotes[0] = last;
+      } else {
+        setVoiceGate(mod, 0, false, t);
+        mod.voiceNotes[0] = null;
+      }
+      return;
+    }
+
+    const v = mod.voiceNotes.indexOf(note);
+    if (v === -1) return;
+    mod.voiceNotes[v] = null;
+    setVoiceGate(mod, v, false, t);
+  }
+
+  function setVoicePitch(mod, v, note, time, glide) {
+    const freq = 440 * Math.pow(2, (note - 69) / 12);
+    const param = mod.voices[v].pitch.offset;
+    param.cancelScheduledValues(time);
+    if (glide > 0) param.setTargetAtTime(freq, time, glide / 3);
+    else param.setValueAtTime(freq, time);
+  }
+
+  function setVoiceGate(mod, v, on, time) {
+    const param = mod.voices[v].gate.offset;
+    param.cancelScheduledValues(time);
+    param.setTargetAtTime(on ? 1 : 0, time, 0.002);
+    sendGate(mod, 'gate', v, on, time);
+  }
+
+  // --- Gate events ---
+  // Gates also travel as events along their cables, so modules like ENV can
+  // schedule on each edge. Voice v lands on the matching destination voice.
+  function sendGate(fromMod, jackId, v, on, time) {
+    cables.forEach(c => {
+      if (c.fromModule !== fromMod.id || c.fromJack !== jackId) return;
+      const toMod = modules.find(m => m.id === c.toModule);
+      if (!toMod?.voices) return;
+      receiveGate(toMod, c.toJack, toMod.voices[v % toMod.voices.length], on, time);
+    });
+  }
+
+  function receiveGate(mod, jackId, nodes, on, time) {
     switch (mod.type) {
-      case 'osc':
-        if (knobDef.id === 'freq') mod.audioNodes.osc.frequency.value = val;
-        if (knobDef.id === 'detune') mod.audioNodes.osc.detune.value = val;
-        break;
-      case 'lfo':
-        if (knobDef.id === 'rate') mod.audioNodes.osc.frequency.value = val;
-        if (knobDef.id === 'depth') mod.audioNodes.depthGain.gain.value = val / 100 * 500;
-        break;
-      case 'flt':
-        if (knobDef.id === 'cutoff') mod.audioNodes.filter.frequency.value = val;
-        if (knobDef.id === 'resonance') mod.audioNodes.filter.Q.value = val;
-        break;
-      case 'amp':
-        if (knobDef.id === 'gain') mod.audioNodes.gain.gain.value = val / 100;
-        break;
-      case 'dly':
-        if (knobDef.id === 'time') mod.audioNodes.delay.delayTime.value = val / 1000;
-        if (knobDef.id === 'feedback') mod.audioNodes.feedback.gain.value = val / 100;
-        if (knobDef.id === 'mix') {
-          mod.audioNodes.wet.gain.value = val / 100;
-          mod.audioNodes.dry.gain.value = 1 - val / 100;
+      case 'env':
+        if (jackId !== 'gate') return;
+        // Several voices may share one mono ENV: release when the last lets go
+        if (on) {
+          nodes.gates++;
+          envAttack(mod, nodes, time);
+        } else if (nodes.gates > 0 && --nodes.gates === 0) {
+          envRelease(mod, nodes, time);
         }
         break;
-      case 'out':
-        if (knobDef.id === 'volume') mod.audioNodes.gain.gain.value = val / 100;
+      case 'seq':
+        // External clock: each rising edge advances a step, the gate follows the clock
+        if (jackId !== 'clock') return;
+        if (on) playSeqStep(mod, time, null);
+        else setSeqGate(mod, false, time);
+        break;
+      case 'snh':
+        if (jackId === 'trig' && on) sampleAndHold(mod, nodes, time);
         break;
     }
   }
 
+  // Gates arrive up to SCHEDULE_AHEAD early, so the param's current value says
+  // nothing about the level at `time`. Each stage starts from the level the
+  // previously planned segment reaches by then.
+  function envAttack(mod, nodes, time) {
+    const param = nodes.env.offset;
+    const from = envLevelAt(nodes.envSegment, time);
+    const attack = mod.knobValues.attack / 1000;
+    const sustain = mod.knobValues.sustain / 100;
+    const tau = mod.knobValues.decay / 1000 / 3;
+    param.cancelScheduledValues(time);
+    param.setValueAtTime(from, time);
+    param.linearRampToValueAtTime(1, time + attack);
+    param.setTargetAtTime(sustain, time + attack, tau);
+    nodes.envSegment = { stage: 'attack', time, from, attack, sustain, tau };
+  }
+
+  function envRelease(mod, nodes, time) {
+    const param = nodes.env.offset;
+    const from = envLevelAt(nodes.envSegment, time);
+    const tau = mod.knobValues.release / 1000 / 3;
+    param.cancelScheduledValues(time);
+    param.setValueAtTime(from, time);
+    param.setTargetAtTime(0, time, tau);
+    nodes.envSegment = { stage: 'release', time, from, tau };
+  }
+
+  function envLevelAt(segment, time) {
+    if (!segment) return 0;
+    const t = Math.max(0, time - segment.time);
+    if (segment.stage === 'release') return segment.from * Math.exp(-t / segment.tau);
+    if (t < segment.attack) return segment.from + (1 - segment.from) * t / segment.attack;
+    return segment.sustain + (1 - segment.sustain) * Math.exp(-(t - segment.attack) / segment.tau);
+  }
+
+  // --- SCOPE rendering ---
+  function renderScopes() {
+    if (!isOpen) return;
+    modules.forEach(mod => {
+      if (mod.type === 'scope' && mod.voices) drawScope(mod);
+    });
+    scopeFrame = requestAnimationFrame(renderScopes);
+  }
+
+  // Waveform on top (auto-scaled to its peak, triggered on a rising zero
+  // crossing so periodic signals stand still), log-frequency FFT below
+  function drawScope(mod) {
+    const canvas = document.querySelector(`#pw-mod-${mod.id} .pw-scope`);
+    if (!canvas) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.clientWidth;
+    const h = canvas.clientHeight;
+    if (canvas.width !== w * dpr || canvas.height !== h * dpr) {
+      canvas.width = w * dpr;
+      canvas.height = h * dpr;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    if (!scopeColors) {
+      const style = getComputedStyle(document.getElementById('patchwerk-body'));
+      scopeColors = {
+        trace: style.getPropertyValue('--pw-led-on').trim() || '#c44a28',
+        bars: style.getPropertyValue('--pw-accent-bright').trim() || '#b87a40',
+        grid: style.getPropertyValue('--pw-led-off').trim() || '#706858'
+      };
+    }
+    const { trace, bars, grid } = scopeColors;
+
+    const { analyser, spectrum, timeData, freqData } = mod.voices[0];
+    analyser.getFloatTimeDomainData(timeData);
+    spectrum.getByteFrequencyData(freqData);
+
+    ctx.fillStyle = '#16140f';
+    ctx.fillRect(0, 0, w, h);
+
+    const waveH = Math.round(h * 0.62);
+    const mid = waveH / 2;
+    ctx.strokeStyle = grid;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, mid + 0.5);
+    ctx.lineTo(w, mid + 0.5);
+    ctx.moveTo(0, waveH + 0.5);
+    ctx.lineTo(w, waveH + 0.5);
+    ctx.stroke();
+
+    // Window of `time` ms, leaving room before it to look for a trigger
+    const len = timeData.length;
+    const n = Math.max(2, Math.min(len / 2, Math.round(mod.knobValues.time / 1000 * audioCtx.sampleRate)));
+    let start = len - n;
+    for (let i = len - n; i > len - 2 * n && i > 0; i--) {
+      if (timeData[i - 1] < 0 && timeData[i] >= 0) { start = i; break; }
+    }
+
+    let peak = 0;
+    for (let i = start; i < start + n; i++) peak = Math.max(peak, Math.abs(timeData[i]));
+    const scale = peak > 1e-6 ? (mid - 3) / peak : 0;
+
+    ctx.strokeStyle = trace;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let x = 0; x < w; x++) {
+      const y = mid - timeData[start + Math.floor(x / w * n)] * scale;
+      if (x === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = grid;
+    ctx.font = '8px monospace';
+    ctx.fillText(`±${peak >= 10 ? Math.round(peak) : peak.toFixed(2)}`, 3, 9);
+
+    // FFT bars, 20 Hz → Nyquist on a log axis
+    const nyquist = audioCtx.sampleRate / 2;
+    const barCount = 40;
+    const barW = w / barCount;
+    const fftH = h - waveH - 2;
+    ctx.fillStyle = bars;
+    for (let b = 0; b < barCount; b++) {
+      const freq = 20 * Math.pow(nyquist / 20, b / barCount);
+      const bin = Math.min(freqData.length - 1, Math.round(freq / nyquist * freqData.length));
+      const barH = freqData[bin] / 255 * fftH;
+      ctx.fillRect(b * barW + 0.5, h - barH, barW - 1, barH);
+    }
+  }
+
+  // --- Clocked modules (SEQ, S&H) ---
+  function clockScheduler() {
+    if (!audioCtx) return;
+    const now = audioCtx.currentTime;
+
+    modules.forEach(mod => {
+      if (!mod.voices) return;
+      // A patched clock/trigger input replaces the internal clock
+      if (mod.type === 'seq' && !isInputPatched(mod, 'clock')) {
+        scheduleClock(mod, now, getSeqStepDuration(mod), time => playSeqStep(mod, time, getSeqStepDuration(mod)));
+      }
+      if (mod.type === 'snh' && !isInputPatched(mod, 'trig')) {
+        scheduleClock(mod, now, 1 / mod.knobValues.rate, time => {
+          mod.voices.forEach(nodes => sampleAndHold(mod, nodes, time));
+        });
+      }
+    });
+  }
+
+  function scheduleClock(mod, now, interval, tick) {
+    // After a stall (e.g. background tab), resume from now instead of catching up
+    if (mod.nextStepTime < now - SCHEDULE_AHEAD) mod.nextStepTime = now;
+
+    while (mod.nextStepTime < now + SCHEDULE_AHEAD) {
+      tick(mod.nextStepTime);
+      mod.nextStepTime += interval;
+    }
+  }
+
+  // Hold the IN value if patched, otherwise a random one (LFO-sized, ±500 Hz)
+  function sampleAndHold(mod, nodes, time) {
+    let value;
+    if (isInputPatched(mod, 'in')) {
+      nodes.probe.getFloatTimeDomainData(nodes.probeData);
+      value = nodes.probeData[nodes.probeData.length - 1];
+    } else {
+      value = (Math.random() * 2 - 1) * 500;
+    }
+    nodes.held.offset.setValueAtTime(value * mod.knobValues.depth / 100, time);
+  }
+
+  function getSeqStepDuration(mod) {
+    const bpm = mod.sync && typeof Rhythm !== 'undefined' ? Rhythm.getTempo() : mod.knobValues.rate;
+    return 60 / bpm / 4; // 16th notes
+  }
+
+  // Fire one step at `time`. With a duration the gate closes itself after the
+  // Gate knob's share of it; without one (external clock) the clock closes it.
+  function playSeqStep(mod, time, dur) {
+    const index = mod.seqStep % mod.stepCount;
+    mod.seqStep = (index + 1) % mod.stepCount;
+    const step = mod.steps[index];
+
+    if (step.gate) {
+      const freq = 440 * Math.pow(2, (SEQ_BASE_NOTE + step.note - 69) / 12);
+      mod.voices[0].pitch.offset.setValueAtTime(freq, time);
+      setSeqGate(mod, true, time);
+      if (dur) setSeqGate(mod, false, time + dur * mod.knobValues.length / 100);
+    }
+
+    // Steps are scheduled ahead of time — move the playhead when the step sounds
+    const delay = Math.max(0, (time - audioCtx.currentTime) * 1000);
+    setTimeout(() => { if (mod.voices) highlightStep(mod, index); }, delay);
+  }
+
+  function setSeqGate(mod, on, time) {
+    if (mod.seqGateOn === on) return;
+    mod.seqGateOn = on;
+    mod.voices[0].gate.offset.setTargetAtTime(on ? 1 : 0, time, 0.002);
+    sendGate(mod, 'gate', 0, on, time);
+  }
+
+  // --- QWERTY keyboard ---
+  // Only while Patchwerk is the focused window, like undo/redo
+  function onKeyDown(e) {
+    if (!isOpen || WindowManager.getActive() !== 'patchwerk') return;
+    if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, select, textarea')) return;
+    if (!modules.some(m => m.type === 'keys')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' || key === 'x') {
+      keyOctave = Math.max(-3, Math.min(3, keyOctave + (key === 'x' ? 1 : -1)));
+      return;
+    }
+
+    const offset = QWERTY_MAP[key];
+    if (offset === undefined || heldKeys.has(key)) return;
+    const note = 60 + keyOctave * 12 + offset;
+    heldKeys.set(key, note);
+    noteOn(note);
+  }
+
+  function onKeyUp(e) {
+    if (WindowManager.getActive() !== 'patchwerk') return;
+    const key = e.key.toLowerCase();
+    if (!heldKeys.has(key)) return;
+    const note = heldKeys.get(key);
+    heldKeys.delete(key);
+    noteOff(note);
+  }
+
+  // Focus moving to another window ends the notes still held here
+  function releaseHeldKeys() {
+    heldKeys.forEach(note => noteOff(note));
+    heldKeys.clear();
+  }
+
   function startAllModules() {
     modules.forEach(mod => {
-      if (!mod.audioNodes) createAudioNodes(mod);
+      if (!mod.voices) createAudioNodes(mod);
     });
     // Re-wire all cables
     cables.forEach(c => wireAudio(c));
   }
 
   function stopAllModules() {
+    heldKeys.clear();
     modules.forEach(mod => destroyAudioNodes(mod));
   }
 
+  // --- Undo / redo ---
+  // Add/remove module and connect/disconnect record themselves; moves and
+  // knob turns are recorded when the drag ends. transact() bundles everything
+  // one gesture does (e.g. deleting a module and its cables) into one step.
+  function transact(fn) {
+    if (historyGroup) return fn();
+    historyGroup = [];
+    try {
+      return fn();
+    } finally {
+      const group = historyGroup;
+      historyGroup = null;
+      pushHistory(group);
+    }
+  }
+
+  function record(action) {
+    if (replaying) return;
+    if (historyGroup) historyGroup.push(action);
+    else pushHistory([action]);
+  }
+
+  function pushHistory(group) {
+    if (!group.length) return;
+    undoStack.push(group);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+  }
+
+  function undo() {
+    const group = undoStack.pop();
+    if (!group) return;
+    replay(() => group.slice().reverse().forEach(action => applyAction(action, true)));
+    redoStack.push(group);
+  }
+
+  function redo() {
+    const group = redoStack.pop();
+    if (!group) return;
+    replay(() => group.forEach(action => applyAction(action, false)));
+    undoStack.push(group);
+  }
+
+  function replay(fn) {
+    cancelPending();
+    closeCableEditor();
+    replaying = true;
+    try { fn(); } finally { replaying = false; }
+    updateAllCables();
+  }
+
+  // Run an action forwards, or its inverse when `reverse` is set
+  function applyAction(action, reverse) {
+    const mod = modules.find(m => m.id === action.id);
+    switch (action.kind) {
+      case 'add':
+      case 'remove': {
+        const create = (action.kind === 'add') !== reverse;
+        if (create) {
+          createModuleFrom(action.state, action.id);
+        } else if (mod) {
+          action.state = serializeModule(mod); // remembered for the way back
+          removeModule(mod);
+        }
+        break;
+      }
+      case 'connect':
+      case 'disconnect': {
+        const [fromMod, fromJack, toMod, toJack] = action.cable;
+        if ((action.kind === 'connect') !== reverse) {
+          connectJacks(fromMod, fromJack, toMod, toJack, action.level);
+        } else {
+          const cable = cables.find(c => c.fromModule === fromMod && c.fromJack === fromJack &&
+            c.toModule === toMod && c.toJack === toJack);
+          if (cable) disconnectCable(cable.id);
+        }
+        break;
+      }
+      case 'level': {
+        const [fromMod, fromJack, toMod, toJack] = action.cable;
+        const cable = cables.find(c => c.fromModule === fromMod && c.fromJack === fromJack &&
+          c.toModule === toMod && c.toJack === toJack);
+        if (cable) setCableLevel(cable, reverse ? action.from : action.to);
+        break;
+      }
+      case 'move': {
+        if (!mod) return;
+        [mod.x, mod.y] = reverse ? action.from : action.to;
+        const el = document.getElementById(`pw-mod-${mod.id}`);
+        if (el) {
+          el.style.left = mod.x + 'px';
+          el.style.top = mod.y + 'px';
+        }
+        break;
+      }
+      case 'knob': {
+        if (!mod) return;
+        const knobDef = MODULE_TYPES[mod.type].knobs.find(k => k.id === action.knob);
+        mod.knobValues[action.knob] = reverse ? action.from : action.to;
+        drawKnob(mod, knobDef);
+        applyKnobValue(mod, knobDef);
+        break;
+      }
+    }
+  }
+
   // --- Clear all modules and cables ---
   function clearPatch() {
     // Remove all cables
     while (cables.length) disconnectCable(cables[0].id);
-    // Remove all modules (copy array since deleteModule modifies it)
-    const ids = modules.map(m => m.id);
-    ids.forEach(id => {
-      const mod = modules.find(m => m.id === id);
-      if (mod) {
-        destroyAudioNodes(mod);
-        const el = document.getElementById(`pw-mod-${id}`);
-        if (el) el.remove();
-      }
-    });
-    modules = [];
+    // Remove all modules (copy array since removeModule modifies it)
+    modules.slice().forEach(mod => removeModule(mod));
     cancelPending();
   }
 
@@ -1117,37 +2327,56 @@ const Patchwerk = (() => {
         { type: 'out', x: 570, y: 60, knobs: { volume: 55 } }
       ],
       cables: [[0, 'out', 2, 'in'], [1, 'out', 2, 'mod'], [2, 'out', 3, 'in'], [3, 'out', 4, 'in']]
+    },
+    keys: {
+      desc: 'KEYS → OSC → FLT → AMP → OUT + ENV → AMP (4-voice poly, play A–; )',
+      modules: [
+        { type: 'osc', x: 30, y: 40, knobs: { freq: 220, detune: 4 }, wave: 'sawtooth' },
+        { type: 'keys', x: 30, y: 220, knobs: { glide: 0 }, poly: 4 },
+        { type: 'flt', x: 210, y: 40, knobs: { cutoff: 1800, resonance: 4 }, filterType: 'lowpass' },
+        { type: 'amp', x: 390, y: 40, knobs: { gain: 0 } },
+        { type: 'out', x: 570, y: 60, knobs: { volume: 40 } },
+        { type: 'env', x: 210, y: 240, knobs: { attack: 8, decay: 300, sustain: 50, release: 500, amount: 100 } }
+      ],
+      cables: [
+        [1, 'pitch', 0, 'pitch'], [1, 'gate', 5, 'gate'], [5, 'out', 3, 'mod'],
+        [0, 'out', 2, 'in'], [2, 'out', 3, 'in'], [3, 'out', 4, 'in']
+      ]
+    },
+    seq: {
+      desc: 'SEQ → OSC → FLT → AMP → DLY → OUT + ENV → AMP (step sequence)',
+      modules: [
+        { type: 'seq', x: 30, y: 30, knobs: { rate: 110, length: 40 } },
+        { type: 'osc', x: 30, y: 290, knobs: { freq: 220, detune: 0 }, wave: 'square' },
+        { type: 'flt', x: 290, y: 30, knobs: { cutoff: 900, resonance: 10 }, filterType: 'lowpass' },
+        { type: 'amp', x: 470, y: 30, knobs: { gain: 0 } },
+        { type: 'dly', x: 470, y: 230, knobs: { time: 410, feedback: 35, mix: 30 } },
+        { type: 'out', x: 650, y: 60, knobs: { volume: 50 } },
+        { type: 'env', x: 210, y: 290, knobs: { attack: 3, decay: 180, sustain: 20, release: 150, amount: 100 } }
+      ],
+      cables: [
+        [0, 'pitch', 1, 'pitch'], [0, 'gate', 6, 'gate'], [6, 'out', 3, 'mod'],
+        [1, 'out', 2, 'in'], [2, 'out', 3, 'in'], [3, 'out', 4, 'in'], [4, 'out', 5, 'in']
+      ]
     }
   };
 
   function loadPreset(name) {
     const preset = PRESETS[name];
     if (!preset) return;
+    loadPatch(preset);
+  }
 
+  // Build a patch from the preset format: modules by index, cables as
+  // [fromIdx, fromJack, toIdx, toJack, level?]. Used by presets and saved patches.
+  function loadPatch(patch) {
     clearPatch();
 
-    const mods = [];
-    preset.modules.forEach(def => {
-      const mod = addModule(def.type, def.x, def.y);
-      if (mod) {
-        if (def.knobs) Object.assign(mod.knobValues, def.knobs);
-        if (def.wave) mod.wave = def.wave;
-        if (def.filterType) mod.filterType = def.filterType;
-        // Update DOM for wave/filter buttons
-        const el = document.getElementById(`pw-mod-${mod.id}`);
-        if (el) {
-          const waveBtn = el.querySelector('.pw-wave-btn');
-          if (waveBtn && def.wave) waveBtn.textContent = WAVE_LABELS[def.wave] || def.wave;
-          const typeBtn = el.querySelector('.pw-type-btn');
-          if (typeBtn && def.filterType) typeBtn.textContent = FILTER_LABELS[def.filterType] || def.filterType;
-        }
-      }
-      mods.push(mod);
-    });
+    const mods = patch.modules.map(def => createModuleFrom(def));
 
-    preset.cables.forEach(([fromIdx, fromJack, toIdx, toJack]) => {
-      if (mods[fromIdx] && mods[toIdx]) {
-        connectJacks(mods[fromIdx].id, fromJack, mods[toIdx].id, toJack);
+    patch.cables.forEach(([fromIdx, fromJack, toIdx, toJack, level = 1]) => {
+      if (mods[fromIdx] && mods[toIdx] && canPatch(mods[fromIdx].id, fromJack, mods[toIdx].id, toJack)) {
+        connectJacks(mods[fromIdx].id, fromJack, mods[toIdx].id, toJack, Math.max(-1, Math.min(1, level)));
       }
     });
 
@@ -1160,6 +2389,182 @@ const Patchwerk = (() => {
     }
   }
 
+  // Add a module from its serialized form (preset entry, imported file or undo
+  // snapshot). Knobs are clamped to their range; unknown knobs and values the
+  // module type doesn't offer keep the defaults.
+  function createModuleFrom(def, id) {
+    const mod = addModule(def.type, def.x, def.y, id);
+    if (!mod) return null;
+    const type = MODULE_TYPES[mod.type];
+    type.knobs.forEach(k => {
+      const value = def.knobs?.[k.id];
+      if (Number.isFinite(value)) mod.knobValues[k.id] = Math.max(k.min, Math.min(k.max, value));
+    });
+    if (type.waveOptions?.includes(def.wave)) mod.wave = def.wave;
+    if (type.filterOptions?.includes(def.filterType)) mod.filterType = def.filterType;
+    if (type.polyOptions?.includes(def.poly)) mod.poly = def.poly;
+    if (mod.steps && Array.isArray(def.steps)) {
+      def.steps.slice(0, mod.steps.length).forEach((s, i) => {
+        if (Number.isInteger(s?.note)) mod.steps[i].note = Math.max(0, Math.min(SEQ_RANGE, s.note));
+        if (typeof s?.gate === 'boolean') mod.steps[i].gate = s.gate;
+      });
+    }
+    if (type.stepOptions?.includes(def.stepCount)) mod.stepCount = def.stepCount;
+    if (mod.steps && def.sync === true) mod.sync = true;
+    syncModuleState(mod);
+    MODULE_TYPES[mod.type].knobs.forEach(knobDef => drawKnob(mod, knobDef));
+    return mod;
+  }
+
+  function serializeModule(m) {
+    const entry = { type: m.type, x: Math.round(m.x), y: Math.round(m.y), knobs: { ...m.knobValues } };
+    if (m.wave) entry.wave = m.wave;
+    if (m.filterType) entry.filterType = m.filterType;
+    if (m.poly) entry.poly = m.poly;
+    if (m.steps) {
+      entry.steps = m.steps.map(s => ({ ...s }));
+      entry.stepCount = m.stepCount;
+      entry.sync = m.sync;
+    }
+    return entry;
+  }
+
+  // Push a module's stored values out to its DOM buttons and live audio nodes
+  function syncModuleState(mod) {
+    const el = document.getElementById(`pw-mod-${mod.id}`);
+    if (el) {
+      const waveBtn = el.querySelector('.pw-wave-btn');
+      if (waveBtn && mod.wave) waveBtn.textContent = WAVE_LABELS[mod.wave] || mod.wave;
+      const typeBtn = el.querySelector('.pw-type-btn');
+      if (typeBtn && mod.filterType) typeBtn.textContent = FILTER_LABELS[mod.filterType] || mod.filterType;
+      const polyBtn = el.querySelector('.pw-poly-btn');
+      if (polyBtn && mod.poly) polyBtn.textContent = POLY_LABELS[mod.poly];
+      const stepsBtn = el.querySelector('.pw-steps-btn');
+      if (stepsBtn) stepsBtn.textContent = `${mod.stepCount} ST`;
+      el.querySelector('.pw-sync-btn')?.classList.toggle('active', mod.sync);
+      if (mod.steps) updateStepGrid(mod);
+    }
+    if (mod.voices) {
+      mod.voices.forEach(nodes => {
+        if (mod.wave && nodes.osc) nodes.osc.type = mod.wave;
+        if (mod.filterType && nodes.filter) nodes.filter.type = mod.filterType;
+      });
+      applyAllKnobs(mod);
+    }
+    refreshPolyphony();
+  }
+
+  // Snapshot the current patch in the preset format
+  function serializePatch() {
+    const index = new Map(modules.map((m, i) => [m.id, i]));
+    return {
+      modules: modules.map(serializeModule),
+      cables: cables.map(c => {
+        const entry = [index.get(c.fromModule), c.fromJack, index.get(c.toModule), c.toJack];
+        if (c.level !== 1) entry.push(c.level);
+        return entry;
+      })
+    };
+  }
+
+  function isValidPatch(patch) {
+    return patch && Array.isArray(patch.modules) && Array.isArray(patch.cables) &&
+      patch.modules.every(m => m && MODULE_TYPES[m.type] && Number.isFinite(m.x) && Number.isFinite(m.y)) &&
+      patch.cables.every(isValidCable);
+  }
+
+  // [fromIdx, fromJack, toIdx, toJack, level?]
+  function isValidCable(c) {
+    return Array.isArray(c) && (c.length === 4 || c.length === 5) &&
+      Number.isInteger(c[0]) && typeof c[1] === 'string' &&
+      Number.isInteger(c[2]) && typeof c[3] === 'string' &&
+      (c.length === 4 || Number.isFinite(c[4]));
+  }
+
+  // --- User patch library (localStorage) ---
+  const LIBRARY_KEY = 'patchwerk-patches';
+
+  function getLibrary() {
+    try {
+      return JSON.parse(localStorage.getItem(LIBRARY_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function saveToLibrary(name) {
+    const library = getLibrary();
+    library[name] = serializePatch();
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+    refreshPresetSelect();
+  }
+
+  function deleteFromLibrary(name) {
+    const library = getLibrary();
+    delete library[name];
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+    refreshPresetSelect();
+  }
+
+  function loadFromLibrary(name) {
+    const patch = getLibrary()[name];
+    if (isValidPatch(patch)) loadPatch(patch);
+  }
+
+  // Rebuild the "My Patches" group of the preset dropdown
+  function refreshPresetSelect() {
+    const select = document.getElementById('pw-preset');
+    if (!select) return;
+    select.querySelector('optgroup')?.remove();
+
+    const names = Object.keys(getLibrary()).sort();
+    if (!names.length) return;
+
+    const group = document.createElement('optgroup');
+    group.label = 'My Patches';
+    names.forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = 'user:' + name;
+      opt.textContent = name;
+      group.appendChild(opt);
+    });
+    select.appendChild(group);
+  }
+
+  // --- File import / export ---
+  function exportPatch() {
+    const name = currentPatchName || 'patch';
+    const json = JSON.stringify({ name, ...serializePatch() }, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `patchwerk-${name.replace(/[^\w-]+/g, '_')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  function importPatch(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let patch;
+      try {
+        patch = JSON.parse(reader.result);
+      } catch (err) {
+        patch = null;
+      }
+      if (!isValidPatch(patch)) {
+        alert('Invalid patch JSON');
+        return;
+      }
+      transact(() => loadPatch(patch));
+      currentPatchName = patch.name || file.name.replace(/\.json$/i, '');
+    };
+    reader.readAsText(file);
+  }
+
   // --- Resize ---
   function resize() {
     updateAllCables();
@@ -0,0 +1,156 @@
+// progression.js — Chord progression lane: chord keys with bar lengths, stepped on rhythm bars
+const Progression = (() => {
+  let steps = [];       // [{ chord: 'C_maj', bars: 1 }]
+  let enabled = false;  // follow the lane while the rhythm plays
+  let loop = true;
+  let currentIndex = -1;
+  let holding = false;  // a lane chord is sounding
+
+  const MAX_BARS = 8;
+  const LIBRARY_KEY = 'omnichord-progressions';
+
+  // chord: (key) chord to play now; release: lane stopped; step: (index) highlight;
+  // change: lane contents edited
+  const listeners = { chord: [], release: [], step: [], change: [] };
+  function on(event, fn) { listeners[event].push(fn); }
+  function emit(event, data) { listeners[event].forEach(fn => fn(data)); }
+
+  function init() {
+    Rhythm.on('bar', onBar);
+    Rhythm.on('stop', release);
+  }
+
+  // Map the rhythm's bar counter onto the lane. Counting from Rhythm.start()
+  // keeps the progression locked to the pattern however often it loops.
+  function stepAtBar(bar) {
+    const total = getTotalBars();
+    if (!total) return -1;
+    if (bar >= total) {
+      if (!loop) return -1;
+      bar %= total;
+    }
+    for (let i = 0; i < steps.length; i++) {
+      if (bar < steps[i].bars) return i;
+      bar -= steps[i].bars;
+    }
+    return -1;
+  }
+
+  function onBar(bar, time) {
+    if (!enabled) return;
+    const index = stepAtBar(bar);
+    if (index >= 0 && index === currentIndex) return;
+
+    // Bars are scheduled ahead of time — land the change on the downbeat
+    const ctx = Audio.getContext();
+    const delay = ctx ? Math.max(0, (time - ctx.currentTime) * 1000) : 0;
+    setTimeout(() => {
+      if (!enabled || !Rhythm.isPlaying()) return;
+      currentIndex = index;
+      emit('step', index);
+      if (index < 0) {
+        release();
+        return;
+      }
+      if (!steps[index]) return;
+      holding = true;
+      emit('chord', steps[index].chord);
+    }, delay);
+  }
+
+  function release() {
+    currentIndex = -1;
+    emit('step', -1);
+    if (holding) {
+      holding = false;
+      emit('release');
+    }
+  }
+
+  // --- Editing ---
+  // Edits keep the current chord sounding; the next bar re-resolves the position.
+  function edited() {
+    currentIndex = -1;
+    emit('change', getSteps());
+  }
+
+  function add(chord, bars = 1) {
+    if (!Chords.get(chord)) return;
+    steps.push({ chord, bars: clampBars(bars) });
+    edited();
+  }
+
+  function remove(index) {
+    steps.splice(index, 1);
+    edited();
+  }
+
+  function setBars(index, bars) {
+    if (!steps[index]) return;
+    steps[index].bars = clampBars(bars);
+    edited();
+  }
+
+  function clear() {
+    steps = [];
+    release();
+    emit('change', getSteps());
+  }
+
+  function clampBars(bars) {
+    return Math.max(1, Math.min(MAX_BARS, Math.round(bars) || 1));
+  }
+
+  function setEnabled(on) {
+    enabled = on;
+    if (!on) release();
+  }
+
+  function setLoop(on) { loop = on; }
+
+  function getSteps() { return steps.map(s => ({ ...s })); }
+  function getTotalBars() { return steps.reduce((sum, s) => sum + s.bars, 0); }
+  function isEnabled() { return enabled; }
+  function isLooping() { return loop; }
+
+  // --- Saved progressions (localStorage) ---
+  function getLibrary() {
+    try {
+      return JSON.parse(localStorage.getItem(LIBRARY_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function save(name) {
+    const library = getLibrary();
+    library[name] = { steps: getSteps(), loop };
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+  }
+
+  function load(name) {
+    const saved = getLibrary()[name];
+    if (!saved || !Array.isArray(saved.steps)) return false;
+    steps = saved.steps
+      .filter(s => s && Chords.get(s.chord))
+      .map(s => ({ chord: s.chord, bars: clampBars(s.bars) }));
+    loop = saved.loop !== false;
+    release();
+    emit('change', getSteps());
+    return true;
+  }
+
+  function deleteSaved(name) {
+    const library = getLibrary();
+    delete library[name];
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+  }
+
+  function getSavedNames() { return Object.keys(getLibrary()); }
+
+  return {
+    init, on, add, remove, setBars, clear, setEnabled, setLoop,
+    getSteps, getTotalBars, isEnabled, isLooping,
+    save, load, deleteSaved, getSavedNames
+  };
+})();
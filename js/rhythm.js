@@ -4,18 +4,55 @@ const Rhythm = (() => {
   let tempo = 120;
   let volume = 0.6;
   let currentStep = 0;
-  let currentPattern = 'rock';
+  let currentPattern = 'rock'; // pattern sounding now (the song may swap it each bar)
+  let basePattern = 'rock';    // pattern chosen outside song mode
   let lookaheadTimer = null;
   let nextStepTime = 0;
   let metronomeOn = false;
   let countInCallback = null; // called when count-in finishes
   let countInStep = -1;       // -1 = not counting in
   let countInTotal = 0;
+  let barCount = 0;           // bars scheduled since start()
+  let swing = 0;              // 0 = straight, 1 = hard swing (off-beat at 3/4 of the pair)
+  let swingDivision = 16;     // 16 = swing off-beat 16ths, 8 = shuffle off-beat 8ths
+  let humanizeTime = 0;       // 0-1 → up to ±20 ms per hit
+  let humanizeVelocity = 0;   // 0-1 → up to 40% softer per hit
+  const mutedLanes = new Set();
+  const soloLanes = new Set();  // any solo silences every lane not soloed
+  // Song mode: sections of a pattern × bars, chained on bar boundaries
+  let song = [];              // [{ pattern, bars }]
+  let songMode = false;
+  let songLoop = false;
+  let fillEvery = 0;          // play a fill in the section's meter on the last bar of every N bars (0 = off)
+  let songIndex = 0;
+  let songBar = -1;
+  let ending = 'none';        // 'none' | 'pending' (next bar) | 'playing'
+  const FILL_PATTERN = 'fill';
+  const ENDING_PATTERN = 'ending';
+  const MAX_SECTION_BARS = 16;
   const SCHEDULE_AHEAD = 0.1; // seconds
   const LOOKAHEAD_MS = 25;    // ms
 
-  // Patterns: each step has [kick, snare, hihat_closed, hihat_open, clap, rim]
-  // 1 = hit, 0 = rest. 16 steps (or 12 for waltz)
+  // bar: (barIndex, time) at each scheduled step 0; stop: rhythm stopped;
+  // song: (position, time) when song mode or an ending picks the next bar's pattern
+  const listeners = { bar: [], stop: [], song: [] };
+  function on(event, fn) { listeners[event].push(fn); }
+  function emit(event, ...args) { listeners[event].forEach(fn => fn(...args)); }
+
+  // Bar length in 16th steps and the steps the metronome clicks on. Compound
+  // meters click the dotted-quarter pulse; 7/8 is grouped 2+2+3.
+  const TIME_SIGNATURES = {
+    '4/4':  { beats: 4,  steps: 16, clicks: [0, 4, 8, 12] },
+    '3/4':  { beats: 3,  steps: 12, clicks: [0, 4, 8] },
+    '5/4':  { beats: 5,  steps: 20, clicks: [0, 4, 8, 12, 16] },
+    '6/8':  { beats: 6,  steps: 12, clicks: [0, 6] },
+    '7/8':  { beats: 7,  steps: 14, clicks: [0, 4, 8] },
+    '12/8': { beats: 12, steps: 24, clicks: [0, 6, 12, 18] }
+  };
+
+  // Patterns: one array per lane, one value per step (steps = the meter's bar length).
+  // 0 = rest, otherwise the hit's velocity (0-1; built-ins hit at 1)
+  const LANES = ['kick', 'snare', 'hihat', 'ohihat', 'clap', 'rim'];
   const PATTERNS = {
     rock: {
       steps: 16, timeSignature: '4/4',
@@ -88,16 +125,155 @@ const Rhythm = (() => {
       ohihat: [0,0,0,1, 0,0,0,1, 0,0,0,1, 0,0,0,1],
       clap:   [0,0,0,0, 1,0,0,0, 0,0,0,0, 1,0,0,0],
       rim:    [0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0]
+    },
+    fivefour: {
+      steps: 20, timeSignature: '5/4',
+      kick:   [1,0,0,0, 0,0,0,0, 0,0,1,0, 1,0,0,0, 0,0,0,0],
+      snare:  [0,0,0,0, 1,0,0,0, 1,0,0,0, 0,0,0,0, 1,0,0,0],
+      hihat:  [1,0,1,0, 1,0,1,0, 1,0,1,0, 1,0,1,0, 1,0,1,0],
+      ohihat: [0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0],
+      clap:   [0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0],
+      rim:    [0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0]
+    },
+    sixeight: {
+      steps: 12, timeSignature: '6/8',
+      kick:   [1,0,0,0,0,0, 0,0,0,0,0,0],
+      snare:  [0,0,0,0,0,0, 1,0,0,0,0,0],
+      hihat:  [1,0,1,0,1,0, 1,0,1,0,1,0],
+      ohihat: [0,0,0,0,0,0, 0,0,0,0,0,0],
+      clap:   [0,0,0,0,0,0, 0,0,0,0,0,0],
+      rim:    [0,0,0,0,0,0, 0,0,0,0,1,0]
+    },
+    seveneight: {
+      steps: 14, timeSignature: '7/8',
+      kick:   [1,0,0,0, 0,0,0,0, 1,0,0,0,0,0],
+      snare:  [0,0,0,0, 1,0,0,0, 0,0,0,0,1,0],
+      hihat:  [1,0,1,0, 1,0,1,0, 1,0,1,0,1,0],
+      ohihat: [0,0,0,0, 0,0,0,0, 0,0,0,0,0,0],
+      clap:   [0,0,0,0, 0,0,0,0, 0,0,0,0,0,0],
+      rim:    [0,0,0,0, 0,0,0,0, 0,0,0,0,0,0]
+    },
+    blues: {
+      steps: 24, timeSignature: '12/8',
+      kick:   [1,0,0,0,0,0, 0,0,0,0,1,0, 1,0,0,0,0,0, 0,0,0,0,0,0],
+      snare:  [0,0,0,0,0,0, 1,0,0,0,0,0, 0,0,0,0,0,0, 1,0,0,0,0,0],
+      hihat:  [1,0,1,0,1,0, 1,0,1,0,1,0, 1,0,1,0,1,0, 1,0,1,0,1,0],
+      ohihat: [0,0,0,0,0,0, 0,0,0,0,0,0, 0,0,0,0,0,0, 0,0,0,0,0,0],
+      clap:   [0,0,0,0,0,0, 0,0,0,0,0,0, 0,0,0,0,0,0, 0,0,0,0,0,0],
+      rim:    [0,0,0,0,0,0, 0,0,0,0,0,0, 0,0,0,0,0,0, 0,0,0,0,0,0]
+    },
+    // Song mode fills and endings
+    fill: {
+      steps: 16, timeSignature: '4/4',
+      kick:   [1,0,0,0, 0,0,0,0, 1,0,0,0, 0,0,0,0],
+      snare:  [0,0,0,0, 1,0,1,0, 1,0,1,1, 1,1,1,1],
+      hihat:  [1,0,1,0, 1,0,1,0, 0,0,0,0, 0,0,0,0],
+      ohihat: [0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0],
+      clap:   [0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,1],
+      rim:    [0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0]
+    },
+    ending: {
+      steps: 16, timeSignature: '4/4',
+      kick:   [1,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0],
+      snare:  [0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0],
+      hihat:  [0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0],
+      ohihat: [1,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0],
+      clap:   [1,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0],
+      rim:    [0,0,0,0, 0,0,0,0, 0,0,0,0, 0,0,0,0]
     }
   };
 
+  // Fills and endings for the other meters, as 'fill:3/4' / 'ending:3/4'. A fill
+  // keeps time up to its last pulse, then rolls the snare into a clap; an
+  // ending is one hit on the downbeat.
+  const METER_PATTERNS = {};
+  Object.entries(TIME_SIGNATURES).forEach(([sig, { steps, clicks }]) => {
+    if (sig === '4/4') return;
+    const hits = test => Array.from({ length: steps }, (_, i) => test(i) ? 1 : 0);
+    const none = () => hits(() => false);
+    const roll = clicks[clicks.length - 1];
+    const midPulse = clicks[Math.floor(clicks.length / 2)];
+    METER_PATTERNS[`${FILL_PATTERN}:${sig}`] = {
+      steps, timeSignature: sig,
+      kick:   hits(i => i === 0 || (i === midPulse && i < roll)),
+      snare:  hits(i => i >= roll || (i > 0 && clicks.includes(i))),
+      hihat:  hits(i => i < roll && i % 2 === 0),
+      ohihat: none(),
+      clap:   hits(i => i === steps - 1),
+      rim:    none()
+    };
+    METER_PATTERNS[`${ENDING_PATTERN}:${sig}`] = {
+      steps, timeSignature: sig,
+      kick:   hits(i => i === 0),
+      snare:  none(),
+      hihat:  none(),
+      ohihat: hits(i => i === 0),
+      clap:   hits(i => i === 0),
+      rim:    none()
+    };
+  });
+
+  // Song fill / ending in `sig`: the hand-written ones in 4/4
+  function meterPattern(base, sig) {
+    return sig === '4/4' ? base : `${base}:${sig}`;
+  }
+
+  // Per-lane playback: level relative to the rhythm volume, GM drum note + MIDI velocity
+  const LANE_VOICES = {
+    kick:   { level: 1,   note: 36, midiVel: 100, play: (time, vol) => Audio.playKick(time, vol) },
+    snare:  { level: 0.8, note: 38, midiVel: 80,  play: (time, vol) => Audio.playSnare(time, vol) },
+    hihat:  { level: 0.5, note: 42, midiVel: 60,  play: (time, vol) => Audio.playHihat(time, false, vol) },
+    ohihat: { level: 0.5, note: 46, midiVel: 60,  play: (time, vol) => Audio.playHihat(time, true, vol) },
+    clap:   { level: 0.6, note: 39, midiVel: 70,  play: (time, vol) => Audio.playClap(time, vol) },
+    rim:    { level: 0.5, note: 37, midiVel: 60,  play: (time, vol) => Audio.playRim(time, vol) }
+  };
+
+  // --- User patterns (localStorage), listed as 'user:<name>' after the built-ins ---
+  const USER_KEY = 'omnichord-drum-patterns';
+  let userPatterns = loadUserPatterns();
+
+  function loadUserPatterns() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(USER_KEY)) || {};
+    } catch (e) {}
+    const result = {};
+    for (const [name, p] of Object.entries(saved)) {
+      const pattern = normalizePattern(p);
+      if (pattern) result[`user:${name}`] = pattern;
+    }
+    return result;
+  }
+
+  function saveUserPatterns() {
+    const saved = {};
+    for (const [id, p] of Object.entries(userPatterns)) saved[id.slice(5)] = p;
+    localStorage.setItem(USER_KEY, JSON.stringify(saved));
+  }
+
+  function normalizePattern(p) {
+    if (!p || typeof p !== 'object') return null;
+    const timeSignature = TIME_SIGNATURES[p.timeSignature] ? p.timeSignature : '4/4';
+    const steps = TIME_SIGNATURES[timeSignature].steps;
+    const pattern = { steps, timeSignature };
+    LANES.forEach(lane => {
+      const values = Array.isArray(p[lane]) ? p[lane] : [];
+      pattern[lane] = Array.from({ length: steps }, (_, i) => Math.max(0, Math.min(1, Number(values[i]) || 0)));
+    });
+    return pattern;
+  }
+
+  function getPattern(name) {
+    return PATTERNS[name] || userPatterns[name] || METER_PATTERNS[name];
+  }
+
   function getStepDuration() {
     // One step = one 16th note
     return 60 / tempo / 4;
   }
 
   function getPatternSteps() {
-    return PATTERNS[currentPattern]?.steps || 16;
+    return getPattern(currentPattern)?.steps || 16;
   }
 
   function scheduler() {
@@ -105,43 +281,131 @@ const Rhythm = (() => {
     if (!ctx) return;
 
     while (nextStepTime < ctx.currentTime + SCHEDULE_AHEAD) {
+      if (currentStep === 0 && !advanceBar(nextStepTime)) {
+        // Song (or ending) played out: stop once its last bar has sounded
+        clearInterval(lookaheadTimer);
+        lookaheadTimer = null;
+        setTimeout(stop, Math.max(0, (nextStepTime - ctx.currentTime) * 1000));
+        return;
+      }
       scheduleStep(currentStep, nextStepTime);
       nextStepTime += getStepDuration();
       currentStep = (currentStep + 1) % getPatternSteps();
     }
   }
 
+  // --- Song mode ---
+  // Pick the pattern for the bar starting at `time`. Returns false once the
+  // song or a scheduled ending has played out.
+  function advanceBar(time) {
+    if (ending === 'playing') return false;
+    if (ending === 'pending') {
+      ending = 'playing';
+      currentPattern = meterPattern(ENDING_PATTERN, getTimeSignature());
+      emit('song', { index: -1, bar: 0, bars: 1, pattern: currentPattern, fill: false, ending: true }, time);
+      return true;
+    }
+    if (!songMode || !song.length) {
+      currentPattern = basePattern;
+      return true;
+    }
+
+    songBar++;
+    if (songBar >= (song[songIndex]?.bars || 0)) {
+      songBar = 0;
+      songIndex++;
+    }
+    if (songIndex >= song.length) {
+      if (!songLoop) {
+        ending = 'pending';
+        return advanceBar(time);
+      }
+      songIndex = 0;
+    }
+
+    const section = song[songIndex];
+    const pattern = getPattern(section.pattern) ? section.pattern : basePattern;
+    const fill = fillEvery > 0 && (songBar + 1) % fillEvery === 0;
+    currentPattern = fill ? meterPattern(FILL_PATTERN, getPattern(pattern).timeSignature) : pattern;
+    emit('song', { index: songIndex, bar: songBar, bars: section.bars, pattern: currentPattern, fill, ending: false }, time);
+    return true;
+  }
+
+  // Play the ending pattern from the next bar, then stop
+  function scheduleEnding() {
+    if (playing && ending === 'none') ending = 'pending';
+  }
+
+  // Takes effect at the next bar
+  function setSongMode(on) { songMode = on; }
+
+  function isSongMode() { return songMode; }
+  function setSongLoop(on) { songLoop = on; }
+  function isSongLooping() { return songLoop; }
+
+  function setFillEvery(bars) {
+    fillEvery = Math.max(0, Math.round(bars) || 0);
+  }
+
+  function addSongSection(pattern, bars = 1) {
+    if (!getPattern(pattern)) return;
+    song.push({ pattern, bars: clampSectionBars(bars) });
+  }
+
+  function removeSongSection(index) {
+    song.splice(index, 1);
+  }
+
+  function setSongSectionBars(index, bars) {
+    if (song[index]) song[index].bars = clampSectionBars(bars);
+  }
+
+  function clearSong() { song = []; }
+  function getMaxSectionBars() { return MAX_SECTION_BARS; }
+  function getSong() { return song.map(s => ({ ...s })); }
+
+  function clampSectionBars(bars) {
+    return Math.max(1, Math.min(MAX_SECTION_BARS, Math.round(bars) || 1));
+  }
+
+  // Swing delays the off-beat of each 16th (or 8th) pair; the grid itself stays
+  // even so bar lengths and the metronome are unaffected
+  function getSwingOffset(step) {
+    if (!swing) return 0;
+    const pair = getStepDuration() * (swingDivision === 8 ? 2 : 1);
+    const offbeat = swingDivision === 8 ? step % 4 === 2 : step % 2 === 1;
+    return offbeat ? swing * pair * 0.5 : 0;
+  }
+
   function scheduleStep(step, time) {
-    const p = PATTERNS[currentPattern];
+    const p = getPattern(currentPattern);
     if (!p) return;
 
-    // Metronome: click on each beat (every 4 steps for 4/4, every 4 steps for 3/4)
-    const stepsPerBeat = 4; // 16th notes per beat
-    if (metronomeOn && step % stepsPerBeat === 0) {
-      const beatInBar = step / stepsPerBeat;
-      Audio.playMetronomeClick(time, beatInBar === 0); // accent beat 1
+    // Metronome: click on the meter's pulse, accenting the downbeat
+    if (metronomeOn && getPulseSteps().includes(step)) {
+      Audio.playMetronomeClick(time, step === 0);
     }
 
-    const vol = volume;
-    if (p.kick[step])   Audio.playKick(time, vol);
-    if (p.snare[step])  Audio.playSnare(time, vol * 0.8);
-    if (p.hihat[step])  Audio.playHihat(time, false, vol * 0.5);
-    if (p.ohihat[step]) Audio.playHihat(time, true, vol * 0.5);
-    if (p.clap[step])   Audio.playClap(time, vol * 0.6);
-    if (p.rim[step])    Audio.playRim(time, vol * 0.5);
-
-    // MIDI drum output (channel 10)
-    const drumMap = { kick: 36, snare: 38, hihat: 42, ohihat: 46, clap: 39, rim: 37 };
-    if (p.kick[step])   MIDI.sendNoteOn(10, drumMap.kick, Math.round(vol * 100));
-    if (p.snare[step])  MIDI.sendNoteOn(10, drumMap.snare, Math.round(vol * 80));
-    if (p.hihat[step])  MIDI.sendNoteOn(10, drumMap.hihat, Math.round(vol * 60));
-    if (p.ohihat[step]) MIDI.sendNoteOn(10, drumMap.ohihat, Math.round(vol * 60));
-    if (p.clap[step])   MIDI.sendNoteOn(10, drumMap.clap, Math.round(vol * 70));
-    if (p.rim[step])    MIDI.sendNoteOn(10, drumMap.rim, Math.round(vol * 60));
+    // Audio + MIDI drum output (channel 10), scaled by each step's velocity.
+    // A loaded sample replaces the lane's synth voice.
+    const hitTime = time + getSwingOffset(step);
+    LANES.forEach(lane => {
+      let hit = p[lane][step];
+      if (!hit || !isLaneAudible(lane)) return;
+      hit *= 1 - Math.random() * humanizeVelocity * 0.4;
+      const jitter = (Math.random() * 2 - 1) * humanizeTime * 0.02;
+      const voice = LANE_VOICES[lane];
+      const t = Math.max(Audio.now(), hitTime + jitter);
+      const vol = volume * voice.level * hit;
+      if (!Audio.playDrumSample(lane, t, vol)) voice.play(t, vol);
+      MIDI.sendNoteOn(10, voice.note, Math.round(volume * voice.midiVel * hit));
+    });
 
     // Visual beat indicator update
     requestAnimationFrame(() => updateBeatIndicator(step));
 
+    if (step === 0) emit('bar', barCount++, time);
+
     // Count-in: fire callback when we reach bar boundary after count-in
     if (countInCallback && step === 0) {
       if (countInStep > 0) {
@@ -161,6 +425,10 @@ const Rhythm = (() => {
     if (!ctx) return;
     playing = true;
     currentStep = 0;
+    barCount = 0;
+    songIndex = 0;
+    songBar = -1;
+    ending = 'none';
     nextStepTime = ctx.currentTime;
     lookaheadTimer = setInterval(scheduler, LOOKAHEAD_MS);
   }
@@ -171,7 +439,10 @@ const Rhythm = (() => {
     clearInterval(lookaheadTimer);
     lookaheadTimer = null;
     currentStep = 0;
+    ending = 'none';
+    currentPattern = basePattern;
     updateBeatIndicator(-1);
+    emit('stop');
   }
 
   function toggle() {
@@ -180,7 +451,7 @@ const Rhythm = (() => {
   }
 
   function setTempo(bpm) {
-    tempo = Math.max(60, Math.min(200, bpm));
+    tempo = Math.max(30, Math.min(300, bpm));
   }
 
   function getTempo() { return tempo; }
@@ -189,8 +460,44 @@ const Rhythm = (() => {
     volume = Math.max(0, Math.min(1, val));
   }
 
+  function setSwing(amount, division = swingDivision) {
+    swing = Math.max(0, Math.min(1, amount));
+    swingDivision = division === 8 ? 8 : 16;
+  }
+
+  function getSwing() { return { amount: swing, division: swingDivision }; }
+
+  function setHumanize(timing, velocity) {
+    humanizeTime = Math.max(0, Math.min(1, timing));
+    humanizeVelocity = Math.max(0, Math.min(1, velocity));
+  }
+
+  function getHumanize() { return { timing: humanizeTime, velocity: humanizeVelocity }; }
+
+  // --- Lane mute/solo ---
+  function setLaneMute(lane, on) {
+    if (!LANES.includes(lane)) return;
+    if (on) mutedLanes.add(lane); else mutedLanes.delete(lane);
+  }
+
+  function setLaneSolo(lane, on) {
+    if (!LANES.includes(lane)) return;
+    if (on) soloLanes.add(lane); else soloLanes.delete(lane);
+  }
+
+  function isLaneAudible(lane) {
+    return soloLanes.size ? soloLanes.has(lane) : !mutedLanes.has(lane);
+  }
+
+  function getLaneState(lane) {
+    return { muted: mutedLanes.has(lane), solo: soloLanes.has(lane), audible: isLaneAudible(lane) };
+  }
+
   function setPattern(name) {
-    if (PATTERNS[name]) {
+    if (getPattern(name)) {
+      basePattern = name;
+      // While a song or ending plays, the choice applies once it stops
+      if (playing && (ending !== 'none' || (songMode && song.length))) return;
       currentPattern = name;
       if (playing) {
         currentStep = currentStep % getPatternSteps();
@@ -200,7 +507,69 @@ const Rhythm = (() => {
 
   function isPlaying() { return playing; }
   function getCurrentStep() { return currentStep; }
-  function getPatternNames() { return Object.keys(PATTERNS); }
+  function getPatternNames() { return [...Object.keys(PATTERNS), ...Object.keys(userPatterns)]; }
+  function getCurrentPattern() { return currentPattern; }
+  function getLanes() { return LANES.slice(); }
+  function isUserPattern(name) { return !!userPatterns[name]; }
+
+  function getPatternData(name = currentPattern) {
+    const p = getPattern(name);
+    return p ? JSON.parse(JSON.stringify(p)) : null;
+  }
+
+  // --- Pattern editing: built-ins are read-only, clone one to edit it ---
+  // An existing name gets a number rather than being overwritten
+  function clonePattern(source, name) {
+    const p = getPattern(source);
+    if (!p || !name) return null;
+    let id = `user:${name}`;
+    for (let n = 2; userPatterns[id]; n++) id = `user:${name} ${n}`;
+    userPatterns[id] = normalizePattern(p);
+    saveUserPatterns();
+    return id;
+  }
+
+  function deletePattern(id) {
+    if (!userPatterns[id]) return;
+    delete userPatterns[id];
+    saveUserPatterns();
+
+    // Song sections using it go too; a playing song carries on from where it was
+    const removedBefore = song.slice(0, songIndex).filter(s => s.pattern === id).length;
+    if (song[songIndex]?.pattern === id) songBar = -1;
+    song = song.filter(s => s.pattern !== id);
+    songIndex = Math.max(0, songIndex - removedBefore);
+
+    if (basePattern === id) basePattern = 'rock';
+    if (currentPattern === id) {
+      currentPattern = basePattern;
+      currentStep %= getPatternSteps();
+    }
+  }
+
+  // Change a user pattern's meter; lanes are cut or padded with rests to the new bar
+  function setPatternMeter(timeSignature) {
+    const p = userPatterns[currentPattern];
+    const sig = TIME_SIGNATURES[timeSignature];
+    if (!p || !sig) return false;
+    p.timeSignature = timeSignature;
+    p.steps = sig.steps;
+    LANES.forEach(lane => {
+      p[lane] = Array.from({ length: sig.steps }, (_, i) => p[lane][i] || 0);
+    });
+    currentStep %= sig.steps;
+    saveUserPatterns();
+    return true;
+  }
+
+  // velocity 0 clears the step
+  function setStep(lane, step, velocity) {
+    const p = userPatterns[currentPattern];
+    if (!p || !p[lane] || step < 0 || step >= p.steps) return false;
+    p[lane][step] = Math.max(0, Math.min(1, velocity));
+    saveUserPatterns();
+    return true;
+  }
 
   function toggleMetronome() {
     metronomeOn = !metronomeOn;
@@ -235,28 +604,46 @@ const Rhythm = (() => {
     dots.forEach((dot, i) => {
       dot.classList.toggle('current', i === step);
       // Also show which steps have hits
-      const p = PATTERNS[currentPattern];
+      const p = getPattern(currentPattern);
       if (p && i < p.steps) {
         const hasHit = p.kick[i] || p.snare[i] || p.clap[i];
-        dot.classList.toggle('active', hasHit);
+        dot.classList.toggle('active', !!hasHit);
       }
     });
+    document.querySelectorAll('.drum-cell').forEach(cell => {
+      cell.classList.toggle('current', parseInt(cell.dataset.step) === step);
+    });
+  }
+
+  function getTimeSignature() {
+    return getPattern(currentPattern)?.timeSignature || '4/4';
   }
 
+  function getTimeSignatures() { return Object.keys(TIME_SIGNATURES); }
+
+  // Meter numerator: 3 for 3/4, 7 for 7/8, ...
   function getBeatsPerBar() {
-    const p = PATTERNS[currentPattern];
-    if (!p) return 4;
-    return p.timeSignature === '3/4' ? 3 : 4;
+    return TIME_SIGNATURES[getTimeSignature()].beats;
+  }
+
+  function getPulseSteps() {
+    return TIME_SIGNATURES[getTimeSignature()].clicks;
   }
 
   function getBarDuration() {
-    return getBeatsPerBar() * (60 / tempo);
+    return getPatternSteps() * getStepDuration();
   }
 
   return {
     start, stop, toggle, setTempo, getTempo, setVolume, setPattern,
     isPlaying, getCurrentStep, getPatternSteps, getPatternNames,
-    getBeatsPerBar, getBarDuration,
-    toggleMetronome, isMetronomeOn, startCountIn
+    getCurrentPattern, getPatternData, getLanes, isUserPattern,
+    clonePattern, deletePattern, setStep,
+    getBeatsPerBar, getBarDuration, getTimeSignature, getTimeSignatures, getPulseSteps,
+    setPatternMeter, setSwing, getSwing, setHumanize, getHumanize,
+    setLaneMute, setLaneSolo, getLaneState,
+    setSongMode, isSongMode, setSongLoop, isSongLooping, setFillEvery, scheduleEnding,
+    addSongSection, removeSongSection, setSongSectionBars, getMaxSectionBars, clearSong, getSong,
+    toggleMetronome, isMetronomeOn, startCountIn, on
   };
 })();
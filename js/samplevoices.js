@@ -0,0 +1,204 @@
+// samplevoices.js — Dropped audio files become sampled Sonic Strings voices
+const SampleVoices = (() => {
+  const voices = new Map(); // name → { zones: [{ buffer, root, label }], loop }
+  let selected = null;      // voice shown in the panel
+
+  const AUDIO_FILE = /\.(wav|mp3|ogg|flac|m4a|aiff?)$/i;
+
+  function init() {
+    wireControls();
+    refresh();
+  }
+
+  // --- Loading ---
+  // Same decode path as GumModul.loadFile; resolves null if the browser can't decode
+  function decodeFile(file) {
+    const ctx = Audio.getContext();
+    return new Promise(resolve => {
+      const reader = new FileReader();
+      reader.onload = e => {
+        ctx.decodeAudioData(e.target.result, resolve, () => resolve(null));
+      };
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  // One file is a single-sample voice; several make a zone map
+  async function loadFiles(files) {
+    const audioFiles = [...files].filter(f => f.type.startsWith('audio/') || AUDIO_FILE.test(f.name));
+    if (!audioFiles.length) return;
+
+    const zones = [];
+    for (const file of audioFiles) {
+      const buffer = await decodeFile(file);
+      if (buffer) zones.push({ buffer, root: Audio.detectSampleRoot(buffer), label: file.name });
+    }
+    if (!zones.length) {
+      alert('Could not decode audio file');
+      return;
+    }
+
+    const base = audioFiles[0].name.replace(/\.[^.]+$/, '');
+    let name = zones.length > 1 ? `${base} (${zones.length})` : base;
+    for (let n = 2; voices.has(name); n++) name = `${base} ${n}`;
+
+    voices.set(name, { zones, loop: false });
+    selected = name;
+    const id = register(name);
+    Audio.setVoice(id);
+    refresh(id);
+    document.getElementById('sample-panel').classList.remove('hidden');
+    document.getElementById('sample-btn').classList.add('active');
+  }
+
+  // Re-register after every edit so the next note picks up the change
+  function register(name) {
+    const voice = voices.get(name);
+    return Audio.registerSampleVoice(name, voice.zones, voice.loop);
+  }
+
+  function remove(name) {
+    voices.delete(name);
+    Audio.removeSampleVoice(name);
+    if (selected === name) selected = voices.keys().next().value || null;
+    refresh();
+  }
+
+  // --- Voice lists (strings and chord pad selects get a "Sampled" group) ---
+  function refresh(selectedId) {
+    const names = [...voices.keys()];
+    const voiceSelect = document.getElementById('strings-voice');
+    const padSelect = document.getElementById('pad-timbre');
+    [voiceSelect, padSelect].forEach(select => {
+      select.querySelector('optgroup[label="Sampled"]')?.remove();
+      if (!names.length) return;
+      const group = document.createElement('optgroup');
+      group.label = 'Sampled';
+      names.forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = `sample:${name}`;
+        opt.textContent = name;
+        group.appendChild(opt);
+      });
+      select.appendChild(group);
+    });
+    voiceSelect.value = selectedId || Audio.getVoice();
+    padSelect.value = Audio.getPadTimbre();
+
+    const panelSelect = document.getElementById('sample-voice-select');
+    panelSelect.innerHTML = names.length ? '' : '<option value="">No sampled voices</option>';
+    names.forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      panelSelect.appendChild(opt);
+    });
+    panelSelect.value = selected || '';
+
+    renderZones();
+  }
+
+  function renderZones() {
+    const container = document.getElementById('sample-zones');
+    container.innerHTML = '';
+    const voice = voices.get(selected);
+    document.getElementById('sample-loop').textContent = `Loop: ${voice?.loop ? 'On' : 'Off'}`;
+    if (!voice) return;
+
+    const noteNames = Chords.getNoteNames();
+    voice.zones.forEach((zone, i) => {
+      const row = document.createElement('div');
+      row.className = 'sample-zone';
+
+      const label = document.createElement('span');
+      label.className = 'sample-zone-label';
+      label.textContent = zone.label;
+      row.appendChild(label);
+
+      // Detected root, correctable by hand
+      const rootSelect = document.createElement('select');
+      rootSelect.title = 'Root note';
+      for (let midi = 21; midi <= 108; midi++) {
+        const opt = document.createElement('option');
+        opt.value = midi;
+        opt.textContent = `${noteNames[midi % 12]}${Math.floor(midi / 12) - 1}`;
+        rootSelect.appendChild(opt);
+      }
+      rootSelect.value = zone.root;
+      rootSelect.addEventListener('change', () => {
+        zone.root = parseInt(rootSelect.value);
+        register(selected);
+      });
+      row.appendChild(rootSelect);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Remove zone';
+      removeBtn.addEventListener('click', () => {
+        voice.zones.splice(i, 1);
+        if (!voice.zones.length) {
+          remove(selected);
+          return;
+        }
+        register(selected);
+        renderZones();
+      });
+      row.appendChild(removeBtn);
+
+      container.appendChild(row);
+    });
+  }
+
+  // --- Actions ---
+  function wireControls() {
+    document.getElementById('sample-btn').addEventListener('click', e => {
+      const panel = document.getElementById('sample-panel');
+      panel.classList.toggle('hidden');
+      e.currentTarget.classList.toggle('active', !panel.classList.contains('hidden'));
+    });
+
+    // Files can be dropped anywhere on the instrument face or on the panel's dropzone
+    const fileInput = document.getElementById('sample-file');
+    const dropzone = document.getElementById('sample-drop');
+    [document.getElementById('instrument'), dropzone].forEach(target => {
+      target.addEventListener('dragover', e => {
+        e.preventDefault();
+        dropzone.classList.add('drag-over');
+      });
+      target.addEventListener('dragleave', () => {
+        dropzone.classList.remove('drag-over');
+      });
+      target.addEventListener('drop', e => {
+        e.preventDefault();
+        dropzone.classList.remove('drag-over');
+        loadFiles(e.dataTransfer.files);
+      });
+    });
+
+    dropzone.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', e => {
+      loadFiles(e.target.files);
+      e.target.value = '';
+    });
+
+    document.getElementById('sample-voice-select').addEventListener('change', e => {
+      selected = e.target.value || null;
+      renderZones();
+    });
+
+    document.getElementById('sample-loop').addEventListener('click', () => {
+      const voice = voices.get(selected);
+      if (!voice) return;
+      voice.loop = !voice.loop;
+      register(selected);
+      renderZones();
+    });
+
+    document.getElementById('sample-delete').addEventListener('click', () => {
+      if (!selected || !confirm(`Delete sampled voice "${selected}"?`)) return;
+      remove(selected);
+    });
+  }
+
+  return { init };
+})();
@@ -0,0 +1,42 @@
+// sliderform.js — Grouped slider rows for the voice editor, master FX and drum kit panels
+const SliderForm = (() => {
+  function fieldGroup(container, label) {
+    const group = document.createElement('div');
+    group.className = 'voice-editor-group';
+    group.innerHTML = `<div class="voice-editor-group-label">${label}</div>`;
+    container.appendChild(group);
+    return group;
+  }
+
+  function fieldRow(label) {
+    const row = document.createElement('label');
+    row.className = 'voice-editor-row';
+    row.appendChild(document.createTextNode(label));
+    return row;
+  }
+
+  // min/max/step are slider units: the slider shows value × scale (seconds as
+  // ms, 0-1 as %) and onInput gets the value back unscaled
+  function sliderRow({ label, min, max, step, scale = 1, unit = '' }, value, onInput) {
+    const row = fieldRow(label);
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = value * scale;
+    const readout = document.createElement('span');
+    readout.className = 'voice-editor-value';
+    const show = () => { readout.textContent = `${parseFloat(input.value)}${unit}`; };
+    show();
+    input.addEventListener('input', () => {
+      onInput(parseFloat(input.value) / scale);
+      show();
+    });
+    row.appendChild(input);
+    row.appendChild(readout);
+    return row;
+  }
+
+  return { fieldGroup, fieldRow, sliderRow };
+})();
@@ -207,7 +207,7 @@ const Spectral = (() => {
   // --- Audio setup ---
   function ensureAudio() {
     if (!audioCtx) {
-      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      audioCtx = AudioBus.getContext();
 
       analyser = audioCtx.createAnalyser();
       analyser.fftSize = 2048;
@@ -218,7 +218,7 @@ const Spectral = (() => {
       compressor.threshold.value = -18;
       compressor.knee.value = 12;
       compressor.ratio.value = 4;
-      compressor.connect(audioCtx.destination);
+      compressor.connect(AudioBus.publish('spectral', 'Spectral'));
 
       masterGain = audioCtx.createGain();
       masterGain.gain.value = 0.7;
@@ -793,7 +793,7 @@ const Spectral = (() => {
     canvas.height = rect.height;
   }
 
-  return { init, resize, start: onWindowOpen, stop: onWindowClose };
+  return { init, resize, start: onWindowOpen, stop: onWindowClose, detectFundamental };
 })();
 
 document.addEventListener('DOMContentLoaded', () => Spectral.init());
@@ -1,12 +1,8 @@
 // strings.js — Sonic Strings touch strip: strum detection + voice triggering
 const Strings = (() => {
-  const MAX_VOICES = 8;
   let canvas, ctxCanvas, strip;
-  let voices = [];
-  let isDown = false;
-  let lastX = 0;
-  let lastTime = 0;
-  let lastZone = -1;
+  const pointers = new Map(); // pointerId → { x, time, zone, voice } — one strum per finger
+  let yAxis = 'brightness';   // what strip height controls: 'brightness' | 'vibrato'
   let volume = 0.75;
   let particles = [];
   let animFrame = null;
@@ -48,46 +44,66 @@ const Strings = (() => {
   function onPointerDown(e) {
     e.preventDefault();
     strip.setPointerCapture(e.pointerId);
-    isDown = true;
-    lastX = e.clientX;
-    lastTime = performance.now();
-    lastZone = -1;
+    pointers.set(e.pointerId, { x: e.clientX, time: performance.now(), zone: -1, voice: null });
     handlePointer(e);
   }
 
   function onPointerMove(e) {
-    if (!isDown) return;
+    if (!pointers.has(e.pointerId)) return;
     e.preventDefault();
     handlePointer(e);
   }
 
   function onPointerUp(e) {
-    isDown = false;
-    lastZone = -1;
+    pointers.delete(e.pointerId);
+  }
+
+  // Height on the strip (top = 1) and pressure shape each note. Mice report a flat
+  // 0.5 pressure while pressed, which leaves velocity on strum speed alone.
+  function getExpression(e) {
+    const rect = strip.getBoundingClientRect();
+    const height = 1 - Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+    const amount = yAxis === 'vibrato' ? 1 - height : height;
+    return {
+      pressure: e.pressure > 0 ? e.pressure : 0.5,
+      brightness: yAxis === 'brightness' ? amount : 0.85,
+      vibrato: yAxis === 'vibrato' ? amount : 0
+    };
   }
 
   function handlePointer(e) {
     const chord = Chords.getActive();
     if (!chord) return;
+    const pointer = pointers.get(e.pointerId);
+    const expression = getExpression(e);
 
     const zone = posToZone(e.clientX);
-    if (zone === lastZone) return;
+    if (zone === pointer.zone) {
+      // Holding on a string — height keeps shaping the ringing voice; pressure
+      // only scales the strum velocity below
+      const live = pointer.voice?.expression;
+      if (live) {
+        live.setBrightness(expression.brightness);
+        live.setVibrato(expression.vibrato);
+      }
+      return;
+    }
 
-    // Strum velocity
+    // Strum velocity, scaled by pressure (0.5 = neutral)
     const now = performance.now();
-    const dt = now - lastTime;
-    const dx = Math.abs(e.clientX - lastX);
+    const dt = now - pointer.time;
+    const dx = Math.abs(e.clientX - pointer.x);
     const speed = dt > 0 ? dx / dt : 0.5; // pixels per ms
-    const velocity = Math.min(1, Math.max(0.2, speed * 0.8)) * volume;
+    const velocity = Math.min(1, Math.max(0.2, speed * 0.8) * (0.5 + expression.pressure)) * volume;
 
-    lastX = e.clientX;
-    lastTime = now;
-    lastZone = zone;
+    pointer.x = e.clientX;
+    pointer.time = now;
+    pointer.zone = zone;
 
     // Trigger note
     if (zone >= 0 && zone < chord.stripNotes.length) {
       const note = chord.stripNotes[zone];
-      triggerNote(note, velocity);
+      pointer.voice = triggerNote(note, velocity, expression);
 
       // Spawn particle
       const rect = strip.getBoundingClientRect();
@@ -97,15 +113,9 @@ const Strings = (() => {
     }
   }
 
-  function triggerNote(note, velocity) {
-    // Voice stealing: remove oldest if at max
-    if (voices.length >= MAX_VOICES) {
-      voices.shift();
-    }
-
-    // Duration derived from sustain slider (null = let audio.js use sustainValue)
-    const voice = Audio.playStringVoice(note.freq, velocity);
-    voices.push(voice);
+  function triggerNote(note, velocity, expression) {
+    // Audio's allocator handles polyphony + stealing; release follows the sustain slider
+    const voice = Audio.playStringVoice(note.freq, velocity, null, expression);
 
     // MIDI output
     MIDI.sendNoteOn(1, note.midi, Math.round(velocity * 127));
@@ -113,6 +123,11 @@ const Strings = (() => {
 
     // Recorder
     Recorder.logEvent('note', { channel: 1, midi: note.midi, velocity: Math.round(velocity * 127), freq: note.freq });
+    return voice;
+  }
+
+  function setYAxis(mode) {
+    yAxis = mode === 'vibrato' ? 'vibrato' : 'brightness';
   }
 
   function setVolume(val) {
@@ -165,30 +180,33 @@ const Strings = (() => {
     // Draw note labels (subtle)
     if (chord) {
       ctxCanvas.font = '9px monospace';
-      ctxCanvas.fillStyle = 'rgba(255,255,255,0.15)';
       ctxCanvas.textAlign = 'center';
       chord.stripNotes.forEach((note, i) => {
         if (i < zones) {
           const x = ((i + 0.5) / zones) * w;
+          // Scale passing tones sit back behind chord tones
+          ctxCanvas.fillStyle = note.chordTone ? 'rgba(255,255,255,0.15)' : 'rgba(255,255,255,0.07)';
           ctxCanvas.fillText(note.name, x, h - 4);
         }
       });
     }
 
-    // Draw pointer line when active
-    if (isDown) {
+    // Draw a line under each finger / pointer
+    if (pointers.size) {
       const glowColor = getComputedStyle(document.documentElement).getPropertyValue('--strip-glow').trim() || '#e94560';
       const rect2 = strip.getBoundingClientRect();
-      const relX = lastX - rect2.left;
 
       ctxCanvas.strokeStyle = glowColor;
       ctxCanvas.lineWidth = 2;
       ctxCanvas.shadowColor = glowColor;
       ctxCanvas.shadowBlur = 12;
-      ctxCanvas.beginPath();
-      ctxCanvas.moveTo(relX, 0);
-      ctxCanvas.lineTo(relX, h);
-      ctxCanvas.stroke();
+      pointers.forEach(pointer => {
+        const relX = pointer.x - rect2.left;
+        ctxCanvas.beginPath();
+        ctxCanvas.moveTo(relX, 0);
+        ctxCanvas.lineTo(relX, h);
+        ctxCanvas.stroke();
+      });
       ctxCanvas.shadowBlur = 0;
     }
 
@@ -212,5 +230,5 @@ const Strings = (() => {
     particles = particles.filter(p => p.life > 0);
   }
 
-  return { init, setVolume, resize };
+  return { init, setVolume, setYAxis, resize };
 })();
@@ -27,12 +27,22 @@ const UI = (() => {
 
     // Initialize all systems (visuals already built in init)
     Audio.init();
+    MasterFX.init();
+    DrumKit.init();
+    DrumSamples.init();
     Theme.init();
     Strings.init();
+    VoiceEditor.init();
+    SampleVoices.init();
     Recorder.init();
+    Progression.init();
+    wireChordToolbar();
     wireRhythmControls();
+    wireSongControls();
+    wireProgressionControls();
     wireRecorderControls();
     wireStringsControls();
+    wirePadControls();
     wireKeyboard();
     wireShortcutsOverlay();
     await MIDI.init();
@@ -40,34 +50,67 @@ const UI = (() => {
   }
 
   // --- Chord Grid ---
+  // The grid shows one page of quality rows at a time; Q/W/E/T pick rows on the page
+  const CHORD_PAGES = [
+    { name: 'BASIC', types: ['maj', 'min', 'sev'] },
+    { name: '7THS', types: ['maj7', 'm7', 'm7b5'] },
+    { name: 'ADDED', types: ['dom9', 'add9', 'six'] },
+    { name: 'SUS/ALT', types: ['sus2', 'sus4', 'dim', 'aug'] }
+  ];
+  let chordPage = 0;
+  let keyMode = null; // { root, mode } — diatonic grid, or null for chromatic pages
+
+  // Grid rows for the current view: [{ label, cells: [{ key, numeral?, borrowed? } | null] }]
+  function getGridRows() {
+    if (keyMode) {
+      const { root, mode } = keyMode;
+      return [
+        { label: 'TRIAD', cells: Chords.getDiatonic(root, mode) },
+        { label: '7TH', cells: Chords.getDiatonic(root, mode, true) },
+        { label: 'BORROW', cells: Chords.getBorrowed(root, mode) }
+      ];
+    }
+    return CHORD_PAGES[chordPage].types.map(type => ({
+      label: Chords.getTypeLabel(type),
+      cells: Chords.getNoteNames().map(name => ({ key: `${name}_${type}` }))
+    }));
+  }
+
   function buildChordGrid() {
     const grid = document.getElementById('chord-grid');
     grid.innerHTML = '';
-    const noteNames = Chords.getNoteNames();
-    const types = Chords.getTypes(); // ['maj', 'min', 'sev']
-    const typeLabels = { maj: 'MAJ', min: 'MIN', sev: '7TH' };
+    grid.classList.toggle('diatonic', !!keyMode);
 
-    types.forEach(type => {
+    getGridRows().forEach(row => {
       // Row label
       const label = document.createElement('div');
       label.className = 'chord-row-label';
-      label.textContent = typeLabels[type];
+      label.textContent = row.label;
       grid.appendChild(label);
 
-      // 12 buttons
-      noteNames.forEach(name => {
-        const key = `${name}_${type}`;
+      row.cells.forEach(cell => {
+        if (!cell) {
+          grid.appendChild(document.createElement('div'));
+          return;
+        }
+        const key = cell.key;
         const chord = Chords.get(key);
 
         const btn = document.createElement('button');
-        btn.className = `chord-btn ${type}`;
-        btn.textContent = chord.label;
+        btn.className = `chord-btn ${chord.family}`;
+        btn.classList.toggle('active', key === activeChordKey);
+        btn.classList.toggle('borrowed', !!cell.borrowed);
+        if (cell.numeral) {
+          btn.innerHTML = `<span class="chord-numeral">${cell.numeral}</span>${chord.label}`;
+        } else {
+          btn.textContent = chord.label;
+        }
         btn.dataset.chord = key;
 
         // Click to toggle — select chord, click again to deselect
         btn.addEventListener('click', e => {
           e.preventDefault();
-          toggleChord(key, btn);
+          toggleChord(key);
         });
         // Prevent text selection on touch
         btn.addEventListener('touchstart', e => e.preventDefault());
@@ -75,36 +118,96 @@ const UI = (() => {
         grid.appendChild(btn);
       });
     });
+
+    const pageBtn = document.getElementById('chord-page-btn');
+    if (pageBtn) {
+      pageBtn.textContent = CHORD_PAGES[chordPage].name;
+      pageBtn.disabled = !!keyMode;
+    }
+  }
+
+  function setChordPage(page) {
+    chordPage = (page + CHORD_PAGES.length) % CHORD_PAGES.length;
+    buildChordGrid();
+  }
+
+  // Chord settings rebuild the chord table — retrigger the held chord so pad + MIDI
+  // notes stay in step
+  function rebuildHeldChord(change) {
+    const held = activeChordKey;
+    if (held) deactivateChord();
+    change();
+    if (held) activateChord(held);
+  }
+
+  function cycleVoicing() {
+    const modes = Chords.getVoicings();
+    const next = modes[(modes.indexOf(Chords.getVoicing()) + 1) % modes.length];
+    rebuildHeldChord(() => Chords.setVoicing(next));
+    document.getElementById('chord-voicing-btn').textContent = Chords.getVoicingLabel(next);
+  }
+
+  function wireChordToolbar() {
+    document.getElementById('chord-page-btn').addEventListener('click', () => setChordPage(chordPage + 1));
+    document.getElementById('chord-voicing-btn').addEventListener('click', cycleVoicing);
+
+    // Key selector — a mode turns the grid into that key's diatonic chords
+    const rootSelect = document.getElementById('chord-key-root');
+    const modeSelect = document.getElementById('chord-key-mode');
+    Chords.getNoteNames().forEach((name, i) => {
+      const opt = document.createElement('option');
+      opt.value = i;
+      opt.textContent = name;
+      rootSelect.appendChild(opt);
+    });
+    Chords.getModes().forEach(mode => {
+      const opt = document.createElement('option');
+      opt.value = mode;
+      opt.textContent = Chords.getModeLabel(mode);
+      modeSelect.appendChild(opt);
+    });
+
+    const applyKey = () => {
+      keyMode = modeSelect.value ? { root: parseInt(rootSelect.value), mode: modeSelect.value } : null;
+      buildChordGrid();
+      applyStripLayout();
+    };
+    rootSelect.addEventListener('change', applyKey);
+    modeSelect.addEventListener('change', applyKey);
   }
 
-  let activeChordBtn = null;
   let activeChordKey = null;
 
-  function toggleChord(key, btn) {
+  // Chords can be held from another grid page, so mark buttons by key
+  function markActiveChord() {
+    document.querySelectorAll('.chord-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.chord === activeChordKey);
+    });
+  }
+
+  function toggleChord(key) {
     if (activeChordKey === key) {
       // Same chord — deactivate
       deactivateChord();
     } else {
       // Different chord (or none active) — switch to this one
-      activateChord(key, btn);
+      activateChord(key);
     }
   }
 
-  function activateChord(key, btn) {
+  function activateChord(key) {
     // Deactivate previous pad sound + MIDI
-    if (activeChordBtn) {
-      activeChordBtn.classList.remove('active');
+    if (activeChordKey) {
       const prevChord = Chords.getActive();
       if (prevChord) {
         prevChord.padMidi.forEach(midi => MIDI.sendNoteOff(2, midi));
       }
-      Audio.stopChordPad();
     }
 
-    btn.classList.add('active');
-    activeChordBtn = btn;
     activeChordKey = key;
+    markActiveChord();
 
+    // The pad swaps (or glides, with legato) from the previous chord itself
     const chord = Chords.setActive(key);
     if (chord) {
       Audio.playChordPad(chord.padFreqs);
@@ -116,12 +219,13 @@ const UI = (() => {
 
       // Recorder
       Recorder.logEvent('chord', { channel: 2, chord: key, midi: chord.padMidi });
+    } else {
+      Audio.stopChordPad();
     }
   }
 
   function deactivateChord() {
-    if (!activeChordBtn) return;
-    activeChordBtn.classList.remove('active');
+    if (!activeChordKey) return;
     Audio.stopChordPad();
 
     const chord = Chords.getActive();
@@ -130,8 +234,8 @@ const UI = (() => {
         MIDI.sendNoteOff(2, midi);
       });
     }
-    activeChordBtn = null;
     activeChordKey = null;
+    markActiveChord();
     // Don't clear Chords.active — strings still use last selected chord
   }
 
@@ -139,7 +243,7 @@ const UI = (() => {
   function buildBeatIndicator() {
     const container = document.getElementById('beat-indicator');
     container.innerHTML = '';
-    for (let i = 0; i < 16; i++) {
+    for (let i = 0; i < Rhythm.getPatternSteps(); i++) {
       const dot = document.createElement('div');
       dot.className = 'beat-dot';
       container.appendChild(dot);
@@ -166,6 +270,12 @@ const UI = (() => {
       startStop.innerHTML = playing ? '&#9632;' : '&#9654;';
     });
 
+    // A finished song or ending stops the rhythm by itself
+    Rhythm.on('stop', () => {
+      startStop.classList.remove('playing');
+      startStop.innerHTML = '&#9654;';
+    });
+
     tempoSlider.addEventListener('input', () => {
       Rhythm.setTempo(parseInt(tempoSlider.value));
       tempoDisplay.textContent = tempoSlider.value;
@@ -177,16 +287,390 @@ const UI = (() => {
 
     patternSelect.addEventListener('change', () => {
       Rhythm.setPattern(patternSelect.value);
-      // Update beat indicator count
-      const steps = Rhythm.getPatternSteps();
-      const container = document.getElementById('beat-indicator');
-      container.innerHTML = '';
-      for (let i = 0; i < steps; i++) {
-        const dot = document.createElement('div');
-        dot.className = 'beat-dot';
-        container.appendChild(dot);
-      }
+      buildBeatIndicator();
+      buildDrumGrid();
+    });
+
+    // Feel: swing (16ths, or 8th-note shuffle) and humanize
+    const swingSlider = document.getElementById('rhythm-swing');
+    const swingDivision = document.getElementById('rhythm-swing-division');
+    const applySwing = () => {
+      Rhythm.setSwing(parseInt(swingSlider.value) / 100, parseInt(swingDivision.value));
+    };
+    swingSlider.addEventListener('input', applySwing);
+    swingDivision.addEventListener('change', applySwing);
+
+    const humanizeTime = document.getElementById('rhythm-humanize-time');
+    const humanizeVel = document.getElementById('rhythm-humanize-vel');
+    const applyHumanize = () => {
+      Rhythm.setHumanize(parseInt(humanizeTime.value) / 100, parseInt(humanizeVel.value) / 100);
+    };
+    humanizeTime.addEventListener('input', applyHumanize);
+    humanizeVel.addEventListener('input', applyHumanize);
+
+    // Step grid editor
+    const editBtn = document.getElementById('drum-edit-btn');
+    editBtn.addEventListener('click', () => {
+      const editor = document.getElementById('drum-editor');
+      editor.classList.toggle('hidden');
+      editBtn.classList.toggle('active', !editor.classList.contains('hidden'));
+    });
+
+    document.getElementById('drum-clone').addEventListener('click', () => {
+      const label = patternSelect.options[patternSelect.selectedIndex].textContent;
+      const name = prompt('Save pattern as:', `${label} copy`);
+      if (!name) return;
+      const id = Rhythm.clonePattern(Rhythm.getCurrentPattern(), name);
+      Rhythm.setPattern(id);
+      refreshPatternSelect();
+      buildDrumGrid();
+    });
+
+    const meterSelect = document.getElementById('drum-meter');
+    Rhythm.getTimeSignatures().forEach(sig => {
+      const opt = document.createElement('option');
+      opt.value = sig;
+      opt.textContent = sig;
+      meterSelect.appendChild(opt);
+    });
+    meterSelect.addEventListener('change', () => {
+      if (!Rhythm.setPatternMeter(meterSelect.value)) return;
+      buildBeatIndicator();
+      buildDrumGrid();
+    });
+
+    document.getElementById('drum-delete').addEventListener('click', () => {
+      const id = Rhythm.getCurrentPattern();
+      if (!Rhythm.isUserPattern(id) || !confirm(`Delete pattern "${id.slice(5)}"?`)) return;
+      Rhythm.deletePattern(id);
+      refreshPatternSelect();
+      renderSongLane();
+      buildBeatIndicator();
+      buildDrumGrid();
+    });
+
+    refreshPatternSelect();
+    buildDrumGrid();
+  }
+
+  // Built-in options are static; user patterns follow in their own group
+  function refreshPatternSelect() {
+    const select = document.getElementById('rhythm-pattern');
+    select.querySelector('optgroup[label="User"]')?.remove();
+    const userIds = Rhythm.getPatternNames().filter(id => Rhythm.isUserPattern(id));
+    if (userIds.length) {
+      const group = document.createElement('optgroup');
+      group.label = 'User';
+      userIds.forEach(id => {
+        const opt = document.createElement('option');
+        opt.value = id;
+        opt.textContent = id.slice(5);
+        group.appendChild(opt);
+      });
+      select.appendChild(group);
+    }
+    select.value = Rhythm.getCurrentPattern();
+  }
+
+  // --- Drum Step Grid ---
+  // One row per lane. Click toggles a step; shift-click cycles a hit's velocity.
+  const STEP_VELOCITIES = [1, 0.7, 0.4];
+
+  function buildDrumGrid() {
+    const grid = document.getElementById('drum-grid');
+    const pattern = Rhythm.getPatternData();
+    const editable = Rhythm.isUserPattern(Rhythm.getCurrentPattern());
+    grid.innerHTML = '';
+    if (!pattern) return;
+    grid.classList.toggle('readonly', !editable);
+    grid.style.gridTemplateColumns = `76px repeat(${pattern.steps}, 1fr)`;
+    document.getElementById('drum-delete').disabled = !editable;
+    const meterSelect = document.getElementById('drum-meter');
+    meterSelect.value = pattern.timeSignature;
+    meterSelect.disabled = !editable;
+    const pulses = Rhythm.getPulseSteps();
+    document.getElementById('drum-editor-hint').textContent = editable
+      ? 'Click: hit on/off · Shift-click: velocity'
+      : 'Built-in pattern: clone it to edit';
+
+    Rhythm.getLanes().forEach(lane => {
+      const label = document.createElement('div');
+      label.className = 'drum-lane-label';
+      label.dataset.lane = lane;
+      const name = document.createElement('span');
+      name.textContent = lane === 'ohihat' ? 'open hh' : lane;
+      label.appendChild(name);
+      [['M', 'muted', 'Mute', Rhythm.setLaneMute], ['S', 'solo', 'Solo', Rhythm.setLaneSolo]].forEach(([text, key, title, set]) => {
+        const btn = document.createElement('button');
+        btn.className = `drum-lane-${key}`;
+        btn.textContent = text;
+        btn.title = title;
+        btn.addEventListener('click', () => {
+          set(lane, !Rhythm.getLaneState(lane)[key]);
+          updateLaneStates();
+        });
+        label.appendChild(btn);
+      });
+      grid.appendChild(label);
+
+      pattern[lane].forEach((velocity, step) => {
+        const cell = document.createElement('button');
+        cell.className = 'drum-cell';
+        if (pulses.includes(step)) cell.classList.add('beat-start');
+        cell.dataset.lane = lane;
+        cell.dataset.step = step;
+        setDrumCell(cell, velocity);
+        cell.addEventListener('click', e => {
+          const current = Rhythm.getPatternData()[lane][step];
+          let next;
+          if (!e.shiftKey) {
+            next = current ? 0 : 1;
+          } else if (current) {
+            // Next velocity level below the current one, wrapping to full
+            next = STEP_VELOCITIES.find(v => v < current - 0.01) || STEP_VELOCITIES[0];
+          } else {
+            return;
+          }
+          if (Rhythm.setStep(lane, step, next)) setDrumCell(cell, next);
+        });
+        grid.appendChild(cell);
+      });
     });
+    updateLaneStates();
+  }
+
+  function setDrumCell(cell, velocity) {
+    cell.classList.toggle('on', velocity > 0);
+    cell.style.setProperty('--vel', velocity);
+    cell.title = velocity ? `Velocity ${Math.round(velocity * 100)}%` : '';
+  }
+
+  // Mute/solo buttons, with lanes silenced by either dimmed
+  function updateLaneStates() {
+    document.querySelectorAll('.drum-lane-label').forEach(label => {
+      const state = Rhythm.getLaneState(label.dataset.lane);
+      label.querySelector('.drum-lane-muted').classList.toggle('active', state.muted);
+      label.querySelector('.drum-lane-solo').classList.toggle('active', state.solo);
+      label.classList.toggle('silent', !state.audible);
+    });
+    document.querySelectorAll('.drum-cell').forEach(cell => {
+      cell.classList.toggle('silent', !Rhythm.getLaneState(cell.dataset.lane).audible);
+    });
+  }
+
+  // --- Song Mode ---
+  function wireSongControls() {
+    const modeBtn = document.getElementById('song-mode');
+    const loopBtn = document.getElementById('song-loop');
+
+    modeBtn.addEventListener('click', () => {
+      const on = !Rhythm.isSongMode();
+      Rhythm.setSongMode(on);
+      modeBtn.classList.toggle('active', on);
+    });
+
+    loopBtn.addEventListener('click', () => {
+      Rhythm.setSongLoop(!Rhythm.isSongLooping());
+      loopBtn.classList.toggle('active', Rhythm.isSongLooping());
+    });
+
+    document.getElementById('song-add').addEventListener('click', () => {
+      Rhythm.addSongSection(document.getElementById('rhythm-pattern').value);
+      renderSongLane();
+    });
+
+    document.getElementById('song-clear').addEventListener('click', () => {
+      Rhythm.clearSong();
+      renderSongLane();
+    });
+
+    document.getElementById('song-fill').addEventListener('change', e => {
+      Rhythm.setFillEvery(parseInt(e.target.value));
+    });
+
+    document.getElementById('song-end').addEventListener('click', () => Rhythm.scheduleEnding());
+
+    // Bars are scheduled ahead of time — update the display on the downbeat
+    let shownPattern = Rhythm.getCurrentPattern();
+    Rhythm.on('song', (position, time) => {
+      const delay = Math.max(0, (time - Audio.now()) * 1000);
+      setTimeout(() => {
+        if (!Rhythm.isPlaying()) return;
+        showSongPosition(position);
+        if (position.pattern !== shownPattern) {
+          shownPattern = position.pattern;
+          buildBeatIndicator();
+          buildDrumGrid();
+        }
+      }, delay);
+    });
+    Rhythm.on('stop', () => {
+      showSongPosition(null);
+      shownPattern = Rhythm.getCurrentPattern();
+      buildBeatIndicator();
+      buildDrumGrid();
+    });
+
+    renderSongLane();
+  }
+
+  function getPatternLabel(id) {
+    const opt = [...document.getElementById('rhythm-pattern').options].find(o => o.value === id);
+    return opt ? opt.textContent : id;
+  }
+
+  function renderSongLane() {
+    const lane = document.getElementById('song-lane');
+    lane.innerHTML = '';
+    const song = Rhythm.getSong();
+    if (!song.length) {
+      lane.textContent = 'Pick a pattern, then + PATTERN to add a section';
+      return;
+    }
+    song.forEach((section, i) => {
+      const cell = document.createElement('button');
+      cell.className = 'song-step';
+      cell.style.flexGrow = section.bars;
+      cell.appendChild(document.createTextNode(getPatternLabel(section.pattern)));
+      const barCount = document.createElement('span');
+      barCount.className = 'prog-bars';
+      barCount.textContent = `×${section.bars}`;
+      cell.appendChild(barCount);
+      cell.title = 'Click: +1 bar, Shift+click: -1 bar, right-click: remove';
+
+      cell.addEventListener('click', e => {
+        const bars = e.shiftKey ? section.bars - 1 : section.bars % Rhythm.getMaxSectionBars() + 1;
+        Rhythm.setSongSectionBars(i, bars);
+        renderSongLane();
+      });
+      cell.addEventListener('contextmenu', e => {
+        e.preventDefault();
+        Rhythm.removeSongSection(i);
+        renderSongLane();
+      });
+      lane.appendChild(cell);
+    });
+  }
+
+  // position: { index, bar, bars, pattern, fill, ending } or null when stopped
+  function showSongPosition(position) {
+    const display = document.getElementById('song-position');
+    document.querySelectorAll('.song-step').forEach((cell, i) => {
+      cell.classList.toggle('current', !!position && i === position.index);
+    });
+    if (!position) {
+      display.textContent = '';
+    } else if (position.ending) {
+      display.textContent = 'ENDING';
+    } else {
+      const count = Rhythm.getSong().length;
+      display.textContent = `${position.index + 1}/${count} · bar ${position.bar + 1}/${position.bars}${position.fill ? ' · FILL' : ''}`;
+    }
+  }
+
+  // --- Progression Lane ---
+  function wireProgressionControls() {
+    const followBtn = document.getElementById('prog-follow');
+    const loopBtn = document.getElementById('prog-loop');
+    const savedSelect = document.getElementById('prog-saved');
+
+    followBtn.addEventListener('click', () => {
+      const on = !Progression.isEnabled();
+      Progression.setEnabled(on);
+      followBtn.classList.toggle('active', on);
+    });
+
+    loopBtn.addEventListener('click', () => {
+      Progression.setLoop(!Progression.isLooping());
+      loopBtn.classList.toggle('active', Progression.isLooping());
+    });
+
+    // Chord memory — append the last selected chord (still set after deselecting)
+    document.getElementById('prog-mem').addEventListener('click', () => {
+      const chord = Chords.getActive();
+      if (chord) Progression.add(chord.key);
+    });
+
+    document.getElementById('prog-clear').addEventListener('click', () => {
+      Progression.clear();
+    });
+
+    document.getElementById('prog-save').addEventListener('click', () => {
+      if (!Progression.getSteps().length) return;
+      const name = prompt('Save progression as:', savedSelect.value || '');
+      if (!name) return;
+      Progression.save(name);
+      refreshSavedProgressions(name);
+    });
+
+    document.getElementById('prog-delete').addEventListener('click', () => {
+      const name = savedSelect.value;
+      if (!name || !confirm(`Delete saved progression "${name}"?`)) return;
+      Progression.deleteSaved(name);
+      refreshSavedProgressions('');
+    });
+
+    savedSelect.addEventListener('change', () => {
+      if (!savedSelect.value) return;
+      Progression.load(savedSelect.value);
+      loopBtn.classList.toggle('active', Progression.isLooping());
+    });
+
+    // Lane chords drive the same path as a chord button press
+    Progression.on('chord', key => {
+      if (key !== activeChordKey) activateChord(key);
+    });
+    Progression.on('release', deactivateChord);
+    Progression.on('step', highlightProgressionStep);
+    Progression.on('change', renderProgressionLane);
+
+    refreshSavedProgressions('');
+    renderProgressionLane(Progression.getSteps());
+  }
+
+  function renderProgressionLane(steps) {
+    const lane = document.getElementById('progression-lane');
+    lane.innerHTML = '';
+    if (!steps.length) {
+      lane.textContent = 'Pick a chord, then + CHORD to add it';
+      return;
+    }
+    steps.forEach((step, i) => {
+      const chord = Chords.get(step.chord);
+      const cell = document.createElement('button');
+      cell.className = `prog-step ${chord.family}`;
+      cell.style.flexGrow = step.bars;
+      cell.innerHTML = `${chord.label}<span class="prog-bars">${step.bars}</span>`;
+      cell.title = 'Click: +1 bar, Shift+click: -1 bar, right-click: remove';
+
+      cell.addEventListener('click', e => {
+        const bars = e.shiftKey ? step.bars - 1 : step.bars % 8 + 1;
+        Progression.setBars(i, bars);
+      });
+      cell.addEventListener('contextmenu', e => {
+        e.preventDefault();
+        Progression.remove(i);
+      });
+      lane.appendChild(cell);
+    });
+  }
+
+  function highlightProgressionStep(index) {
+    document.querySelectorAll('.prog-step').forEach((cell, i) => {
+      cell.classList.toggle('current', i === index);
+    });
+  }
+
+  function refreshSavedProgressions(selected) {
+    const select = document.getElementById('prog-saved');
+    select.innerHTML = '<option value="">Saved...</option>';
+    Progression.getSavedNames().forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      select.appendChild(opt);
+    });
+    select.value = selected;
   }
 
   // --- Recorder Controls ---
@@ -256,10 +740,138 @@ const UI = (() => {
       vibBtn.classList.toggle('active', on);
     });
 
+    // Strip height → tone or vibrato depth
+    document.getElementById('strings-y-axis').addEventListener('change', e => {
+      Strings.setYAxis(e.target.value);
+    });
+
+    // Global vibrato + MIDI pitch bend range (slider is tenths of a Hz)
+    document.getElementById('vibrato-rate').addEventListener('input', e => {
+      Audio.setVibratoRate(parseInt(e.target.value) / 10);
+    });
+    document.getElementById('vibrato-depth').addEventListener('input', e => {
+      Audio.setVibratoDepth(parseInt(e.target.value));
+    });
+    document.getElementById('bend-range').addEventListener('change', e => {
+      Audio.setBendRange(parseInt(e.target.value));
+    });
+
     // Sustain slider
     document.getElementById('strings-sustain').addEventListener('input', e => {
       Audio.setSustain(parseInt(e.target.value) / 100);
     });
+
+    // Voice allocation
+    document.getElementById('strings-polyphony').addEventListener('change', e => {
+      Audio.setMaxPolyphony(parseInt(e.target.value));
+    });
+    document.getElementById('strings-steal').addEventListener('change', e => {
+      Audio.setStealMode(e.target.value);
+    });
+
+    // Strip range + layout
+    const octaveSelect = document.getElementById('strings-octave');
+    const spanSelect = document.getElementById('strings-span');
+    const applyRange = () => {
+      Chords.setStripRange(parseInt(octaveSelect.value), parseInt(spanSelect.value));
+    };
+    octaveSelect.addEventListener('change', applyRange);
+    spanSelect.addEventListener('change', applyRange);
+
+    const layoutSelect = document.getElementById('strings-layout');
+    Chords.getModes().forEach(mode => {
+      const opt = document.createElement('option');
+      opt.value = mode;
+      opt.textContent = `${Chords.getModeLabel(mode)} scale`;
+      layoutSelect.appendChild(opt);
+    });
+    layoutSelect.addEventListener('change', applyStripLayout);
+
+    // Tuning — affects pads too
+    const transposeInput = document.getElementById('tuning-transpose');
+    const a4Input = document.getElementById('tuning-a4');
+    const applyTuning = () => {
+      rebuildHeldChord(() => {
+        Chords.setTuning(parseFloat(a4Input.value) || 440, parseInt(transposeInput.value) || 0);
+      });
+    };
+    transposeInput.addEventListener('change', applyTuning);
+    a4Input.addEventListener('change', applyTuning);
+  }
+
+  // --- Chord Pad Controls ---
+  function wirePadControls() {
+    // Pad timbres first, then every string voice grouped as in the strings selector
+    const timbreSelect = document.getElementById('pad-timbre');
+    timbreSelect.innerHTML = '';
+    const padGroup = document.createElement('optgroup');
+    padGroup.label = 'Pad';
+    Audio.getPadTimbres().forEach(({ id, name }) => {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = name;
+      padGroup.appendChild(opt);
+    });
+    timbreSelect.appendChild(padGroup);
+    Object.entries(Audio.getVoiceNames()).forEach(([category, voices]) => {
+      const group = document.createElement('optgroup');
+      group.label = category;
+      voices.forEach(({ id, name }) => {
+        const opt = document.createElement('option');
+        opt.value = id;
+        opt.textContent = name;
+        group.appendChild(opt);
+      });
+      timbreSelect.appendChild(group);
+    });
+    timbreSelect.value = Audio.getPadTimbre();
+    timbreSelect.addEventListener('change', () => {
+      // Re-strike a held chord so the new sound is heard straight away
+      rebuildHeldChord(() => Audio.setPadTimbre(timbreSelect.value));
+    });
+
+    // Envelope sliders are in milliseconds
+    const attackInput = document.getElementById('pad-attack');
+    const releaseInput = document.getElementById('pad-release');
+    const applyEnvelope = () => {
+      Audio.setPadEnvelope(parseInt(attackInput.value) / 1000, parseInt(releaseInput.value) / 1000);
+    };
+    attackInput.addEventListener('input', applyEnvelope);
+    releaseInput.addEventListener('input', applyEnvelope);
+
+    document.getElementById('pad-volume').addEventListener('input', e => {
+      Audio.setPadVolume(parseInt(e.target.value) / 100);
+    });
+
+    // Resonance slider is tenths of Q
+    const cutoffInput = document.getElementById('pad-cutoff');
+    const resonanceInput = document.getElementById('pad-resonance');
+    const applyFilter = () => {
+      Audio.setPadFilter(parseInt(cutoffInput.value), parseInt(resonanceInput.value) / 10);
+    };
+    cutoffInput.addEventListener('input', applyFilter);
+    resonanceInput.addEventListener('input', applyFilter);
+
+    const legatoBtn = document.getElementById('pad-legato-btn');
+    const glideInput = document.getElementById('pad-glide');
+    const applyLegato = () => {
+      Audio.setPadLegato(legatoBtn.classList.contains('active'), parseInt(glideInput.value) / 1000);
+    };
+    legatoBtn.addEventListener('click', () => {
+      legatoBtn.classList.toggle('active');
+      applyLegato();
+    });
+    glideInput.addEventListener('input', applyLegato);
+  }
+
+  // Scale layout follows the selected key, or each chord's own root without one
+  function applyStripLayout() {
+    const layout = document.getElementById('strings-layout').value;
+    if (layout === 'chord') {
+      Chords.setStripLayout('chord');
+    } else {
+      Chords.setStripLayout('scale', layout, keyMode ? keyMode.root : null);
+    }
   }
 
   // --- MIDI Controls ---
@@ -275,50 +887,53 @@ const UI = (() => {
 
   // --- Keyboard Shortcuts ---
   function wireKeyboard() {
-    const noteNames = Chords.getNoteNames();
     // Keys 1-9,0,-,= → 12 roots
     const rootKeys = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '='];
-    let currentType = 'maj';
-    let currentRootIdx = 0;
+    const typeKeys = ['q', 'w', 'e', 't'];
+    let currentRow = 0;
+    let currentCol = 0;
+
+    // Empty cells (degrees with nothing borrowed, roots past VII) do nothing
+    function toggleGridCell() {
+      const cell = getGridRows()[currentRow]?.cells[currentCol];
+      if (cell) toggleChord(cell.key);
+    }
 
     document.addEventListener('keydown', e => {
       if (e.repeat) return;
+      // Leave typing in text/number fields alone
+      if (e.target.matches?.('input:not([type="range"]), textarea')) return;
       const key = e.key;
 
-      // Root selection (toggle)
+      // Root selection (toggle) — scale degrees I–VII in key mode
       const rootIdx = rootKeys.indexOf(key);
       if (rootIdx >= 0) {
         e.preventDefault();
-        currentRootIdx = rootIdx;
-        const chordKey = `${noteNames[currentRootIdx]}_${currentType}`;
-        const btn = document.querySelector(`[data-chord="${chordKey}"]`);
-        if (btn) toggleChord(chordKey, btn);
+        currentCol = rootIdx;
+        toggleGridCell();
         return;
       }
 
-      // Type selection (toggle)
-      if (key === 'q' || key === 'Q') {
+      // Type selection (toggle) — rows of the current grid view
+      const rowIdx = typeKeys.indexOf(key.toLowerCase());
+      if (rowIdx >= 0 && rowIdx < getGridRows().length) {
         e.preventDefault();
-        currentType = 'maj';
-        const chordKey = `${noteNames[currentRootIdx]}_${currentType}`;
-        const btn = document.querySelector(`[data-chord="${chordKey}"]`);
-        if (btn) toggleChord(chordKey, btn);
+        currentRow = rowIdx;
+        toggleGridCell();
         return;
       }
-      if (key === 'w' || key === 'W') {
+
+      // [ / ] → chord grid page
+      if ((key === '[' || key === ']') && !keyMode) {
         e.preventDefault();
-        currentType = 'min';
-        const chordKey = `${noteNames[currentRootIdx]}_${currentType}`;
-        const btn = document.querySelector(`[data-chord="${chordKey}"]`);
-        if (btn) toggleChord(chordKey, btn);
+        setChordPage(chordPage + (key === ']' ? 1 : -1));
         return;
       }
-      if (key === 'e' || key === 'E') {
+
+      // I → cycle inversion / voicing
+      if (key === 'i' || key === 'I') {
         e.preventDefault();
-        currentType = 'sev';
-        const chordKey = `${noteNames[currentRootIdx]}_${currentType}`;
-        const btn = document.querySelector(`[data-chord="${chordKey}"]`);
-        if (btn) toggleChord(chordKey, btn);
+        cycleVoicing();
         return;
       }
 
@@ -353,7 +968,7 @@ const UI = (() => {
       if (key === 'ArrowUp') {
         e.preventDefault();
         const slider = document.getElementById('rhythm-tempo');
-        slider.value = Math.min(200, parseInt(slider.value) + 5);
+        slider.value = Math.min(300, parseInt(slider.value) + 5);
         Rhythm.setTempo(parseInt(slider.value));
         document.getElementById('tempo-display').textContent = slider.value;
         return;
@@ -361,7 +976,7 @@ const UI = (() => {
       if (key === 'ArrowDown') {
         e.preventDefault();
         const slider = document.getElementById('rhythm-tempo');
-        slider.value = Math.max(60, parseInt(slider.value) - 5);
+        slider.value = Math.max(30, parseInt(slider.value) - 5);
         Rhythm.setTempo(parseInt(slider.value));
         document.getElementById('tempo-display').textContent = slider.value;
         return;
@@ -0,0 +1,211 @@
+// voiceeditor.js — Build, audition, save and export data-driven Sonic Strings voices
+const VoiceEditor = (() => {
+  const STORAGE_KEY = 'omnichord-user-voices';
+  let draft = null;
+
+  // Editable parameters, grouped into panel columns; numeric fields become sliders
+  const FIELDS = [
+    ...[0, 1, 2].flatMap(i => [
+      { group: `Osc ${i + 1}`, path: ['oscillators', i, 'wave'], label: 'Wave', options: ['sine', 'square', 'sawtooth', 'triangle'] },
+      { group: `Osc ${i + 1}`, path: ['oscillators', i, 'octave'], label: 'Oct', min: -2, max: 2, step: 1 },
+      { group: `Osc ${i + 1}`, path: ['oscillators', i, 'detune'], label: 'Detune', min: -100, max: 100, step: 1 },
+      { group: `Osc ${i + 1}`, path: ['oscillators', i, 'level'], label: 'Level', min: 0, max: 1, step: 0.01 }
+    ]),
+    { group: 'Filter', path: ['filter', 'type'], label: 'Type', options: ['lowpass', 'highpass', 'bandpass'] },
+    { group: 'Filter', path: ['filter', 'cutoff'], label: 'Cutoff', min: 20, max: 16000, step: 10 },
+    { group: 'Filter', path: ['filter', 'q'], label: 'Q', min: 0.1, max: 20, step: 0.1 },
+    { group: 'Filter', path: ['filter', 'envAmount'], label: 'Env', min: 0, max: 10000, step: 50 },
+    { group: 'Filter', path: ['filter', 'envDecay'], label: 'Decay', min: 0.005, max: 3, step: 0.005 },
+    { group: 'Amp', path: ['amp', 'attack'], label: 'Attack', min: 0.001, max: 2, step: 0.001 },
+    { group: 'Amp', path: ['amp', 'decay'], label: 'Decay', min: 0.01, max: 5, step: 0.01 },
+    { group: 'Amp', path: ['amp', 'sustain'], label: 'Sustain', min: 0, max: 1, step: 0.01 },
+    { group: 'Amp', path: ['amp', 'level'], label: 'Level', min: 0, max: 0.5, step: 0.01 },
+    { group: 'Vibrato', path: ['vibrato', 'rate'], label: 'Rate', min: 0.1, max: 12, step: 0.1 },
+    { group: 'Vibrato', path: ['vibrato', 'depth'], label: 'Depth', min: 0, max: 50, step: 1 },
+    { group: 'Sends', path: ['sends', 'chorus'], label: 'Chorus', min: 0, max: 1, step: 0.01 },
+    { group: 'Sends', path: ['sends', 'reverb'], label: 'Reverb', min: 0, max: 1, step: 0.01 }
+  ];
+
+  function init() {
+    // Saved voices join the preset list before anything is played
+    Object.entries(getSaved()).forEach(([name, def]) => Audio.registerUserVoice(name, def));
+    refreshVoiceSelect();
+
+    draft = Audio.getDefaultUserVoice();
+    renderFields();
+    wireControls();
+  }
+
+  // --- Storage ---
+  function getSaved() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function setSaved(voices) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(voices));
+  }
+
+  // --- Form ---
+  function getValue(path) {
+    return path.reduce((obj, key) => obj[key], draft);
+  }
+
+  function setValue(path, value) {
+    const parent = path.slice(0, -1).reduce((obj, key) => obj[key], draft);
+    parent[path[path.length - 1]] = value;
+  }
+
+  function renderFields() {
+    const container = document.getElementById('voice-editor-fields');
+    container.innerHTML = '';
+    document.getElementById('voice-editor-name').value = draft.name;
+
+    const groups = {};
+    FIELDS.forEach(field => {
+      groups[field.group] = groups[field.group] || SliderForm.fieldGroup(container, field.group);
+      if (field.options) {
+        const row = SliderForm.fieldRow(field.label);
+        const select = document.createElement('select');
+        field.options.forEach(opt => {
+          const option = document.createElement('option');
+          option.value = opt;
+          option.textContent = opt;
+          select.appendChild(option);
+        });
+        select.value = getValue(field.path);
+        select.addEventListener('change', () => setValue(field.path, select.value));
+        row.appendChild(select);
+        groups[field.group].appendChild(row);
+      } else {
+        groups[field.group].appendChild(SliderForm.sliderRow(field, getValue(field.path), value => setValue(field.path, value)));
+      }
+    });
+  }
+
+  function loadDraft(def) {
+    draft = Audio.normalizeUserVoice(def);
+    renderFields();
+  }
+
+  // --- Voice lists (strings and chord pad selects get a "User" group) ---
+  function refreshVoiceSelect(selected) {
+    const names = Object.keys(getSaved());
+    const voiceSelect = document.getElementById('strings-voice');
+    const padSelect = document.getElementById('pad-timbre');
+    [voiceSelect, padSelect].forEach(select => {
+      select.querySelector('optgroup[label="User"]')?.remove();
+      if (!names.length) return;
+      const group = document.createElement('optgroup');
+      group.label = 'User';
+      names.forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = `user:${name}`;
+        opt.textContent = name;
+        group.appendChild(opt);
+      });
+      select.appendChild(group);
+    });
+    if (selected) voiceSelect.value = selected;
+    else voiceSelect.value = Audio.getVoice();
+    padSelect.value = Audio.getPadTimbre();
+
+    const loadSelect = document.getElementById('voice-editor-load');
+    loadSelect.innerHTML = '<option value="">New voice</option>';
+    names.forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      loadSelect.appendChild(opt);
+    });
+    loadSelect.value = names.includes(draft?.name) ? draft.name : '';
+  }
+
+  // --- Actions ---
+  function wireControls() {
+    document.getElementById('voice-edit-btn').addEventListener('click', e => {
+      const panel = document.getElementById('voice-editor-panel');
+      panel.classList.toggle('hidden');
+      e.currentTarget.classList.toggle('active', !panel.classList.contains('hidden'));
+    });
+
+    document.getElementById('voice-editor-load').addEventListener('change', e => {
+      const name = e.target.value;
+      loadDraft(name ? { ...getSaved()[name], name } : Audio.getDefaultUserVoice());
+    });
+
+    document.getElementById('voice-editor-name').addEventListener('input', e => {
+      draft.name = e.target.value;
+    });
+
+    // Arpeggiate the held chord (or C major) so the envelope and sends are audible
+    document.getElementById('voice-audition').addEventListener('click', () => {
+      const chord = Chords.getActive();
+      const freqs = chord ? chord.padFreqs : [261.63, 329.63, 392.0, 523.25];
+      freqs.forEach((freq, i) => {
+        setTimeout(() => Audio.auditionVoice(draft, freq), i * 120);
+      });
+    });
+
+    document.getElementById('voice-save').addEventListener('click', () => {
+      const name = (draft.name || '').trim() || prompt('Save voice as:', '');
+      if (!name) return;
+      draft.name = name;
+      const voices = getSaved();
+      voices[name] = Audio.normalizeUserVoice(draft);
+      setSaved(voices);
+
+      const id = Audio.registerUserVoice(name, voices[name]);
+      Audio.setVoice(id);
+      refreshVoiceSelect(id);
+    });
+
+    document.getElementById('voice-delete').addEventListener('click', () => {
+      const name = document.getElementById('voice-editor-load').value;
+      if (!name || !confirm(`Delete voice "${name}"?`)) return;
+      const voices = getSaved();
+      delete voices[name];
+      setSaved(voices);
+      Audio.removeUserVoice(name);
+      loadDraft(Audio.getDefaultUserVoice());
+      refreshVoiceSelect();
+    });
+
+    document.getElementById('voice-export').addEventListener('click', () => {
+      const json = JSON.stringify(Audio.normalizeUserVoice(draft), null, 2);
+      const blob = new Blob([json], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `insomnichord-voice-${draft.name.replace(/[^\w-]+/g, '_')}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    });
+
+    document.getElementById('voice-import').addEventListener('click', () => {
+      document.getElementById('voice-import-file').click();
+    });
+
+    document.getElementById('voice-import-file').addEventListener('change', e => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          loadDraft(JSON.parse(reader.result));
+        } catch (err) {
+          alert('Invalid voice JSON');
+        }
+      };
+      reader.readAsText(file);
+      e.target.value = '';
+    });
+  }
+
+  return { init };
+})();